@@ -0,0 +1,21 @@
+const User = require('../models/User');
+const { forbidden } = require('../utils/errors');
+
+// Addresses allowed to use the admin routes, from ADMIN_EMAILS (comma-separated)
+const getAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Only let admins through. Runs after the auth middleware.
+const requireAdmin = async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('email');
+
+  if (!user || !getAdminEmails().includes(user.email.toLowerCase())) {
+    throw forbidden('Admin access required');
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -1,23 +1,90 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessions');
+const { isAccessToken, findActiveToken } = require('../services/accessTokens');
+const { unauthorized, forbidden } = require('../utils/errors');
 
-// Renamed for clarity - this is an auth middleware, not "Todos"
-const auth = (req, res, next) => {
-  const token = req.header('auth-token');
-
+// Verify an access token and return the user it belongs to
+const authenticate = async (token) => {
   if (!token) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
+    throw unauthorized('No token, authorization denied', 'missing_token');
+  }
+
+  // Personal access tokens carry the scopes they were created with
+  if (isAccessToken(token)) {
+    const accessToken = await findActiveToken(token);
+    if (!accessToken) {
+      throw unauthorized('Access token is invalid, expired or was revoked', 'invalid_token');
+    }
+    return {
+      id: accessToken.user.toString(),
+      tokenId: accessToken.id,
+      scopes: accessToken.scopes,
+      expiresAt: accessToken.expiresAt
+    };
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-    
-    // Set the user ID consistently
-    req.user = { id: decoded.userId };
-    
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    throw unauthorized('Token is not valid', 'invalid_token');
+  }
+
+  // Tokens must belong to a session that has not been revoked
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    throw unauthorized('Session has expired or was revoked', 'session_revoked');
+  }
+
+  // Set the user ID consistently; sessions are not limited by scopes
+  return { id: decoded.userId, sessionId: decoded.sid, scopes: null, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+// Token from the auth-token header or an Authorization: Bearer header
+const requestToken = (req) => {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.header('authorization') || '');
+  return req.header('auth-token') || (bearer ? bearer[1] : null);
+};
+
+// Personal access tokens only reach routes that name the scope they need
+const checkScope = (user, scope) => {
+  if (!user.scopes) {
+    return;
+  }
+  if (!scope) {
+    throw forbidden('Personal access tokens cannot be used here. Sign in instead.', 'insufficient_scope');
+  }
+  if (!user.scopes.includes(scope)) {
+    throw forbidden(`This access token lacks the ${scope} scope`, 'insufficient_scope');
+  }
+};
+
+// Renamed for clarity - this is an auth middleware, not "Todos"
+const auth = async (req, res, next) => {
+  req.user = await authenticate(requestToken(req));
+  checkScope(req.user);
+  next();
+};
+
+// Like auth, but also lets in personal access tokens that have the scope
+const authWithScope = (scope) => async (req, res, next) => {
+  req.user = await authenticate(requestToken(req));
+  checkScope(req.user, scope);
+  next();
+};
+
+// Browsers' EventSource cannot send headers, so streams may also pass a
+// session token as ?access_token. Query strings end up in proxy and access
+// logs, so long-lived personal access tokens must use a header.
+const streamAuth = (scope) => async (req, res, next) => {
+  const queryToken = req.query.access_token;
+  if (!requestToken(req) && isAccessToken(queryToken)) {
+    throw unauthorized('Send personal access tokens in the Authorization header, not the URL', 'invalid_token');
   }
+  req.user = await authenticate(requestToken(req) || queryToken);
+  checkScope(req.user, scope);
+  next();
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.authWithScope = authWithScope;
+module.exports.streamAuth = streamAuth;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { ApiError, badRequest, conflict, notFound } = require('../utils/errors');
+
+// Map anything thrown by a route onto an ApiError
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  // Malformed JSON or oversized bodies from express.json()
+  if (error.type === 'entity.parse.failed') {
+    return badRequest('Request body is not valid JSON', 'invalid_json');
+  }
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return new ApiError(error.status, 'bad_request', error.message);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return badRequest('Request validation failed', 'validation_failed',
+      Object.values(error.errors).map(({ path, kind, message }) => ({
+        in: 'body',
+        field: path,
+        code: kind === 'required' ? 'required' : 'invalid_value',
+        message
+      })));
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return badRequest(`Invalid value for ${error.path}`, 'validation_failed', [{
+      field: error.path,
+      code: 'invalid_type',
+      message: `Must be a valid ${error.kind}`
+    }]);
+  }
+
+  if (error.code === 11000) {
+    return conflict('A record with the same unique value already exists');
+  }
+
+  return new ApiError(500, 'internal_error', 'Server error');
+};
+
+// Unknown routes get the same envelope as every other error
+const notFoundHandler = (req, res, next) => {
+  next(notFound(`Route ${req.method} ${req.path} not found`, 'route_not_found'));
+};
+
+// Central error handler: one consistent envelope for every error response
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const apiError = toApiError(error);
+
+  if (apiError.status >= 500) {
+    console.error(`Error in ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+
+  const body = {
+    success: false,
+    code: apiError.code,
+    message: apiError.message
+  };
+  if (apiError.details) body.details = apiError.details;
+  if (apiError.current) body.current = apiError.current;
+  if (apiError.retryAfter) body.retryAfter = apiError.retryAfter;
+
+  res.status(apiError.status).json(body);
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,86 @@
+const { createMemoryStore, createMongoStore } = require('../utils/rateLimitStores');
+const { tooManyRequests } = require('../utils/errors');
+
+let store = null;
+
+// MongoDB by default so limits hold across instances; RATE_LIMIT_STORE=memory
+// keeps everything in-process
+const getStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'memory'
+      ? createMemoryStore()
+      : createMongoStore();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for tests; pass null to rebuild from env
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const normalizeEmail = (email) => (
+  typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null
+);
+
+// Limit requests to a route per client IP, per email in the body (read
+// from emailField) and, after auth, per signed-in user
+const rateLimit = ({ name, windowMs, maxPerIp, maxPerEmail, maxPerUser, emailField = 'email' }) => async (req, res, next) => {
+  const email = normalizeEmail(req.body && req.body[emailField]);
+  const limits = [[`${name}:ip:${req.ip}`, maxPerIp]];
+  if (email && maxPerEmail) {
+    limits.push([`${name}:email:${email}`, maxPerEmail]);
+  }
+  if (req.user && maxPerUser) {
+    limits.push([`${name}:user:${req.user.id}`, maxPerUser]);
+  }
+
+  try {
+    for (const [key, max] of limits) {
+      const { count, resetAt } = await getStore().increment(key, windowMs);
+      if (count > max) {
+        return next(tooManyRequests(resetAt));
+      }
+    }
+  } catch (error) {
+    // Never lock everyone out because the store is unavailable
+    console.error('Rate limit store error:', error);
+  }
+
+  next();
+};
+
+// Lock an account after repeated failures, e.g. wrong passwords.
+// The route reports each failure and clears the count on success.
+const createLockout = ({ name, windowMs, maxFailures }) => {
+  const keyFor = (email) => `${name}:lockout:${normalizeEmail(email)}`;
+
+  return {
+    // Middleware rejecting requests for a locked email
+    check: async (req, res, next) => {
+      const email = normalizeEmail(req.body && req.body.email);
+      if (email) {
+        try {
+          const entry = await getStore().get(keyFor(email));
+          if (entry && entry.count >= maxFailures) {
+            return next(tooManyRequests(entry.resetAt));
+          }
+        } catch (error) {
+          console.error('Rate limit store error:', error);
+        }
+      }
+      next();
+    },
+
+    recordFailure: (email) => getStore().increment(keyFor(email), windowMs),
+
+    clear: (email) => getStore().reset(keyFor(email))
+  };
+};
+
+module.exports = {
+  rateLimit,
+  createLockout,
+  getStore,
+  setStore
+};
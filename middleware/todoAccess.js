@@ -0,0 +1,23 @@
+const { canEdit, findTodoWithRole } = require('../services/access');
+const { forbidden, notFound } = require('../utils/errors');
+
+// Load the todo named by :id into req.todo after checking the user may see
+// it, or change it when access is 'edit'. Runs after the auth middleware.
+// Pass { deleted: true } to load a todo from the trash instead.
+const loadTodo = (access = 'view', { deleted = false } = {}) => async (req, res, next) => {
+  const { todo, role } = await findTodoWithRole(req.params.id, req.user.id, { deleted });
+
+  if (!todo) {
+    throw notFound('Todo not found');
+  }
+
+  if (access === 'edit' && !canEdit(role)) {
+    throw forbidden('You do not have permission to change this todo');
+  }
+
+  req.todo = todo;
+  req.todoRole = role;
+  next();
+};
+
+module.exports = loadTodo;
@@ -0,0 +1,44 @@
+const { validateObject } = require('../utils/validation');
+const { badRequest } = require('../utils/errors');
+
+// Validate req.params, req.query and req.body against per-route schemas
+// (see utils/validation). The whitelisted, coerced values replace the
+// originals; any problem rejects the request with field-level details.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  ['params', 'query', 'body'].forEach(location => {
+    if (!schemas[location]) {
+      return;
+    }
+
+    const locationErrors = [];
+    validated[location] = validateObject(req[location] || {}, schemas[location], locationErrors);
+    locationErrors.forEach(error => errors.push({ in: location, ...error }));
+  });
+
+  if (errors.length > 0) {
+    return next(badRequest('Request validation failed', 'validation_failed', errors));
+  }
+
+  if (validated.body) {
+    req.body = validated.body;
+  }
+  if (validated.query) {
+    // Express 5 exposes req.query as a getter, so redefine it
+    Object.defineProperty(req, 'query', {
+      value: validated.query,
+      writable: true,
+      configurable: true,
+      enumerable: true
+    });
+  }
+  if (validated.params) {
+    req.params = validated.params;
+  }
+
+  next();
+};
+
+module.exports = validate;
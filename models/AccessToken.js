@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Personal access token for scripts and integrations. Only the hash of the
+// token is stored; the token itself is shown once when it is created.
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scopes: [{
+    type: String,
+    enum: ['todos:read', 'todos:write', 'plan']
+  }],
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hint: {
+    type: String,
+    required: true  // Last characters of the token, to tell tokens apart
+  },
+  expiresAt: {
+    type: Date,
+    default: null  // Never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+module.exports = AccessToken;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// What a feed URL last served, so clients can poll with conditional requests
+const feedVersionSchema = new mongoose.Schema({
+  etag: String,
+  lastModified: Date
+}, { _id: false });
+
+// A user's secret calendar feed. Only the hash of the token in the URL is
+// stored; rotating replaces it and revoking removes the feed.
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  versions: {
+    type: Map,
+    of: feedVersionSchema,  // Keyed by the feed's filter options
+    default: {}
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
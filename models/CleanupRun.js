@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// What one run of the account cleanup job removed
+const cleanupRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  counts: {
+    pendingSignups: { type: Number, default: 0 },    // Expired PendingSignup records
+    unfinishedUsers: { type: Number, default: 0 },   // Passwordless User rows from before PendingSignup
+    verificationCodes: { type: Number, default: 0 },
+    resetCodes: { type: Number, default: 0 },
+    emailChangeCodes: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+cleanupRunSchema.index({ startedAt: -1 });
+
+const CleanupRun = mongoose.model('CleanupRun', cleanupRunSchema);
+
+module.exports = CleanupRun;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A user's tag or category. Todos store the name itself; the label keeps
+// the canonical spelling new todos are normalized to, and how it is shown.
+const labelSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['tag', 'category'],
+    required: true
+  },
+  key: {
+    type: String,  // Lowercased name with collapsed whitespace
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,  // #rrggbb
+    default: null
+  },
+  icon: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+labelSchema.index({ user: 1, kind: 1, key: 1 }, { unique: true });
+
+const Label = mongoose.model('Label', labelSchema);
+
+module.exports = Label;
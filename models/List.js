@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    default: 'editor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Pending invitation, accepted by the invited address with its code
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    default: 'editor'
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  codeExpires: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const listSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listSchema.index({ owner: 1 });
+listSchema.index({ 'members.user': 1 });
+listSchema.index({ 'invitations.email': 1 });
+
+const List = mongoose.model('List', listSchema);
+
+module.exports = List;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One row per email sent, so reminders are never repeated across restarts
+const notificationLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'overdue', 'digest'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true  // e.g. reminder:<todoId>:<dueDate>
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationLogSchema.index({ user: 1, sentAt: -1 });
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
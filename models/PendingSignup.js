@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Signup that has asked for a verification code but not registered yet.
+// Kept out of the User collection so an abandoned signup never holds on
+// to an email address.
+const pendingSignupSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  verificationCode: {
+    type: String,
+    default: null  // Hashed, see utils/codes
+  },
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  codeExpires: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true  // End of the grace period for finishing the signup
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// services/cleanup removes and counts expired signups; the TTL index is a
+// backstop for deployments where the cron job does not run
+pendingSignupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PendingSignup = mongoose.model('PendingSignup', pendingSignupSchema);
+
+module.exports = PendingSignup;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A todo the planner chose for the day, and why
+const plannedTaskSchema = new mongoose.Schema({
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  title: String,
+  estimateMinutes: Number,
+  score: Number,
+  reason: String
+}, { _id: false });
+
+// Result of the planner for a single user. Dry runs are stored as
+// proposals until the user accepts or rejects them.
+const planRunSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'skipped', 'failed', 'proposed', 'accepted', 'rejected'],
+    required: true
+  },
+  planDate: {
+    type: String,  // Local YYYY-MM-DD the run planned for
+    required: true
+  },
+  planStart: {
+    type: Date,    // Start of planDate in the user's timezone
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  taskCount: {
+    type: Number,
+    default: 0
+  },
+  capacityMinutes: {
+    type: Number,
+    default: null
+  },
+  tasks: [plannedTaskSchema],
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+planRunSchema.index({ user: 1, createdAt: -1 });
+planRunSchema.index({ user: 1, planDate: 1 });
+
+const PlanRun = mongoose.model('PlanRun', planRunSchema);
+
+module.exports = PlanRun;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One field of a todo before and after a change
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// An entry in a todo's history: who or what changed it, the field-level
+// changes, and a snapshot of the todo afterwards so it can be reverted.
+// user and list copy the todo's so activity can be filtered like todos.
+const todoChangeSchema = new mongoose.Schema({
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true  // The todo's creator
+  },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  actor: {
+    kind: {
+      type: String,
+      enum: ['user', 'planner', 'system'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    source: {
+      type: String,
+      default: null  // e.g. bulk, import, recurrence, subtasks
+    }
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'completed', 'reopened', 'planned', 'deleted', 'restored', 'reverted'],
+    required: true
+  },
+  changes: [fieldChangeSchema],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+todoChangeSchema.index({ todo: 1, createdAt: -1 });
+todoChangeSchema.index({ user: 1, createdAt: -1 });
+todoChangeSchema.index({ list: 1, createdAt: -1 });
+
+const TodoChange = mongoose.model('TodoChange', todoChangeSchema);
+
+module.exports = TodoChange;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Marker left when a todo is permanently deleted, so clients syncing with
+// GET /api/todos/changes learn it is gone. Expires after TOMBSTONE_TTL_DAYS;
+// clients that have not synced for longer must do a full sync.
+const TOMBSTONE_TTL_DAYS = 90;
+
+const tombstoneSchema = new mongoose.Schema({
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true  // The todo's creator
+  },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tombstoneSchema.index({ user: 1, deletedAt: 1 });
+tombstoneSchema.index({ list: 1, deletedAt: 1 });
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_DAYS * 24 * 60 * 60 });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+
+module.exports = Tombstone;
+module.exports.TOMBSTONE_TTL_DAYS = TOMBSTONE_TTL_DAYS;
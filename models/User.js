@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timezone');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -20,7 +21,11 @@ const UserSchema = new mongoose.Schema({
   },
   verificationCode: {
     type: String,
-    default: null
+    default: null  // Hashed, see utils/codes
+  },
+  verificationAttempts: {
+    type: Number,
+    default: 0
   },
   codeExpires: {
     type: Date,
@@ -28,12 +33,66 @@ const UserSchema = new mongoose.Schema({
   },
   resetCode: {
     type: String,
-    default: null
+    default: null  // Hashed, see utils/codes
+  },
+  resetAttempts: {
+    type: Number,
+    default: 0
   },
   resetCodeExpires: {
     type: Date,
     default: null
   },
+  pendingEmail: {
+    type: String,
+    default: null  // New address waiting to be confirmed with emailChangeCode
+  },
+  emailChangeCode: {
+    type: String,
+    default: null  // Hashed, see utils/codes
+  },
+  emailChangeAttempts: {
+    type: Number,
+    default: 0
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  planningHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 0  // Local hour at which the nightly planner runs for this user
+  },
+  notifications: {
+    reminders: {
+      type: Boolean,
+      default: false
+    },
+    reminderLeadMinutes: {
+      type: Number,
+      min: 5,
+      max: 7 * 24 * 60,
+      default: 60  // How long before dueDate to send a reminder
+    },
+    overdue: {
+      type: Boolean,
+      default: false
+    },
+    dailyDigest: {
+      type: Boolean,
+      default: false
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
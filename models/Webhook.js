@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A user's subscription to todo events, delivered as signed POST requests
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: [{
+    type: String,
+    enum: ['todo.created', 'todo.completed', 'todo.deleted', 'todo.rescheduled']
+  }],
+  secret: {
+    type: String,
+    required: true  // Key for the HMAC signature on every delivery
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0  // Deliveries that ran out of retries since the last success
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.index({ user: 1, active: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
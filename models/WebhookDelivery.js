@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One try at sending a delivery
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  responseStatus: {
+    type: Number,
+    default: null  // null when no response came back
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: Number
+}, { _id: false });
+
+// An event queued for a webhook, with every attempt to send it. Pending
+// deliveries are retried with exponential backoff until they succeed or
+// run out of attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
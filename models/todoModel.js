@@ -1,5 +1,67 @@
 const mongoose = require('mongoose');
 
+// Ordered checklist step within a todo
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// RRULE-style repeat schedule, anchored on the series' first due date
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  byWeekday: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  dtstart: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// Fields every future occurrence of a series is created from
+const seriesTemplateSchema = new mongoose.Schema({
+  title: String,
+  notes: String,
+  priority: String,
+  category: String,
+  tags: [String],
+  estimateMinutes: Number,
+  items: [String]
+}, { _id: false });
+
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+
 const todoSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -41,12 +103,157 @@ const todoSchema = new mongoose.Schema({
     ref: 'User', // 🔗 Reference to User
     required: true
   },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List', // Shared list, null for personal todos
+    default: null
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   notes: {
     type: String,
     trim: true
+  },
+  estimateMinutes: {
+    type: Number,
+    min: 1,
+    max: 1440,
+    default: null  // Expected effort, used by the planner
+  },
+  items: [checklistItemSchema],
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo', // Set on subtasks
+    default: null
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null  // Shared by all occurrences of a recurring todo
+  },
+  occurrence: {
+    type: Number,
+    default: null  // 1-based position within the series
+  },
+  seriesTemplate: {
+    type: seriesTemplateSchema,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null  // Set while the todo is in the trash
+  },
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null  // Todo whose deletion moved this subtask to the trash
+  },
+  version: {
+    type: Number,
+    default: 0  // Incremented on every change, for optimistic concurrency
+  },
+  priorityRank: {
+    type: Number,
+    default: 2  // Kept in step with priority so ?sort=priority orders low < medium < high
+  }
+}, {
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+// Todos in the trash are invisible to every query unless the query filters
+// on deletedAt itself or sets the withDeleted option
+const QUERY_HOOKS = [
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'countDocuments',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+
+todoSchema.pre(QUERY_HOOKS, function() {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
   }
 });
 
+// Every write bumps the version; updatedAt is kept by the timestamps option
+todoSchema.pre('save', function() {
+  if (!this.isNew && this.isModified()) {
+    this.version = (this.version || 0) + 1;
+  }
+});
+
+todoSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  const update = this.getUpdate();
+  if (update && !Array.isArray(update)) {
+    update.$inc = { ...update.$inc, version: 1 };
+  }
+});
+
+// priorityRank follows priority through saves and updates
+todoSchema.pre('validate', function() {
+  if (this.isNew || this.isModified('priority')) {
+    this.priorityRank = PRIORITY_RANKS[this.priority] || PRIORITY_RANKS.medium;
+  }
+});
+
+todoSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) {
+    return;
+  }
+  const priority = update.$set && update.$set.priority !== undefined ? update.$set.priority : update.priority;
+  if (priority !== undefined) {
+    update.$set = { ...update.$set, priorityRank: PRIORITY_RANKS[priority] || PRIORITY_RANKS.medium };
+  }
+});
+
+// Give todos saved before priorityRank existed their rank. Leaves version
+// and updatedAt alone, so it does not count as a change for sync.
+todoSchema.statics.backfillPriorityRanks = async function() {
+  const { modifiedCount } = await this.updateMany(
+    { priorityRank: { $exists: false } },
+    [{
+      $set: {
+        priorityRank: {
+          $switch: {
+            branches: Object.entries(PRIORITY_RANKS)
+              .map(([priority, rank]) => ({ case: { $eq: ['$priority', priority] }, then: rank })),
+            default: PRIORITY_RANKS.medium
+          }
+        }
+      }
+    }],
+    { withDeleted: true, timestamps: false }
+  );
+  return modifiedCount;
+};
+
+todoSchema.pre('aggregate', function() {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Indexes backing the filters and sorts on GET /api/todos
+todoSchema.index({ user: 1, createdAt: -1 });
+todoSchema.index({ user: 1, dueDate: 1 });
+todoSchema.index({ user: 1, completed: 1, priority: 1 });
+todoSchema.index({ user: 1, priorityRank: 1 });
+todoSchema.index({ user: 1, category: 1 });
+todoSchema.index({ user: 1, tags: 1 });
+todoSchema.index({ title: 'text', notes: 'text' });
+todoSchema.index({ parent: 1 });
+todoSchema.index({ list: 1, createdAt: -1 });
+todoSchema.index({ assignee: 1 });
+todoSchema.index({ seriesId: 1, occurrence: 1 });
+todoSchema.index({ user: 1, completedAt: 1 });
+todoSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+todoSchema.index({ updatedAt: 1, _id: 1 });
+
 const Todo = mongoose.model('Todo', todoSchema);
 
 module.exports = Todo;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const CleanupRun = require('../models/CleanupRun');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/admin');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/adminSchemas');
+const { runCleanup } = require('../services/cleanup');
+
+// Recent cleanup runs, newest first, with what they removed in total
+router.get('/cleanup-runs', auth, requireAdmin, validate({ query: schemas.cleanupRunsQuery }), async (req, res) => {
+  const runs = await CleanupRun.find()
+    .sort({ startedAt: -1 })
+    .limit(req.query.limit);
+
+  const totals = {};
+  runs.forEach(run => {
+    Object.entries(run.toObject().counts).forEach(([field, count]) => {
+      totals[field] = (totals[field] || 0) + count;
+    });
+  });
+
+  res.json({ totals, runs });
+});
+
+// Run the cleanup now instead of waiting for the schedule
+router.post('/cleanup', auth, requireAdmin, async (req, res) => {
+  res.json(await runCleanup({ trigger: 'manual' }));
+});
+
+module.exports = router;
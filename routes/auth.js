@@ -1,59 +1,152 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const PendingSignup = require('../models/PendingSignup');
+const AccessToken = require('../models/AccessToken');
 const auth = require('../middleware/auth');
-const nodemailer = require("nodemailer");
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/authSchemas');
+const { sendMail } = require('../services/mailer');
+const { deleteAccount } = require('../services/accounts');
+const { signupExpiry } = require('../services/cleanup');
+const {
+  MAX_TOKENS_PER_USER,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  revokeAllAccessTokens
+} = require('../services/accessTokens');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../services/sessions');
+const {
+  MAX_CODE_ATTEMPTS,
+  generateCode,
+  hashCode,
+  codeMatches
+} = require('../utils/codes');
+const { ApiError, badRequest, unauthorized, notFound } = require('../utils/errors');
+const { rateLimit, createLockout } = require('../middleware/rateLimit');
+
+// Limits on the code-based flows, per client IP and per email address
+const sendCodeLimit = rateLimit({
+  name: 'send-code',
+  windowMs: 60 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerEmail: 5
+});
+const verifyCodeLimit = rateLimit({
+  name: 'verify-code',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 30,
+  maxPerEmail: 10
+});
+const loginLimit = rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 30
+});
+
+// Codes for an email change go to the new address
+const changeEmailLimit = rateLimit({
+  name: 'change-email',
+  windowMs: 60 * 60 * 1000,
+  maxPerIp: 20,
+  maxPerEmail: 5,
+  maxPerUser: 5,
+  emailField: 'newEmail'
+});
+
+const passwordCheckLimit = rateLimit({
+  name: 'password-check',
+  windowMs: 15 * 60 * 1000,
+  maxPerIp: 10
+});
+
+// Lock an email out of /login for 15 minutes after 5 wrong passwords
+const loginLockout = createLockout({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  maxFailures: 5
+});
+
+const PRIVATE_FIELDS = '-password -verificationCode -verificationAttempts -codeExpires -resetCode -resetCodeExpires -resetAttempts -emailChangeCode -emailChangeAttempts -emailChangeExpires';
+
+const profileView = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  timezone: user.timezone,
+  planningHour: user.planningHour,
+  notifications: user.notifications
+});
+
+// Load the signed-in user and check their password before a sensitive change
+const checkPassword = async (userId, password) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (!user.password || !await bcrypt.compare(password, user.password)) {
+    throw badRequest('Password is incorrect', 'invalid_credentials');
+  }
+
+  return user;
+};
+
+// Apply the changes PATCH /profile takes
+const applyProfile = (user, { name, timezone, planningHour, notifications }) => {
+  if (name !== undefined) user.name = name;
+  if (timezone !== undefined) user.timezone = timezone;
+  if (planningHour !== undefined) user.planningHour = planningHour;
+  if (notifications !== undefined) {
+    Object.keys(notifications).forEach(key => {
+      user.notifications[key] = notifications[key];
+    });
+  }
+};
 
 // @route   POST api/auth/send-verification-code
 // @desc    Send email verification code
 // @access  Public
-router.post("/send-verification-code", async (req, res) => {
+router.post("/send-verification-code", sendCodeLimit, validate({ body: schemas.sendVerificationCode }), async (req, res) => {
   const { email } = req.body;
 
-  if (!email) {
-    return res.status(400).json({ success: false, message: "Email is required" });
+  // Check if a registered account already uses the address
+  const existingUser = await User.findOne({ email, password: { $ne: null } });
+  if (existingUser) {
+    throw badRequest("An account with this email already exists and is verified", 'user_exists');
   }
 
+  // Generate 6-digit verification code
+  const code = generateCode();
+  const codeExpires = Date.now() + 10 * 60 * 1000; // expires in 10 minutes
+
+  // Start or restart the signup; it is removed if not finished in time
+  await PendingSignup.findOneAndUpdate(
+    { email },
+    {
+      email,
+      verificationCode: hashCode(code),
+      verificationAttempts: 0,
+      codeExpires,
+      verifiedAt: null,
+      expiresAt: signupExpiry()
+    },
+    { upsert: true, new: true }
+  );
+
+  // Send verification email
   try {
-    // Check if user already exists and is verified
-    const existingUser = await User.findOne({ email, isVerified: true });
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "An account with this email already exists and is verified" 
-      });
-    }
-
-    // Generate 6-digit verification code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    const codeExpires = Date.now() + 10 * 60 * 1000; // expires in 10 minutes
-
-    // Update user or create temp user record if not exists
-    await User.findOneAndUpdate(
-      { email },
-      {
-        email,
-        verificationCode: code,
-        codeExpires,
-        isVerified: false,
-      },
-      { upsert: true, new: true }
-    );
-
-    // Setup email transporter
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-
-    // Send verification email
-    await transporter.sendMail({
-      from: `"Your App Name" <${process.env.EMAIL_USER}>`,
+    await sendMail({
       to: email,
       subject: "Email Verification Code",
       html: `
@@ -68,284 +161,512 @@ router.post("/send-verification-code", async (req, res) => {
         </div>
       `,
     });
-
-    return res.json({ 
-      success: true, 
-      message: "Verification code sent to your email" 
-    });
   } catch (error) {
     console.error("Error sending verification code:", error);
-    return res.status(500).json({ 
-      success: false, 
-      message: "Failed to send verification code. Please try again." 
-    });
+    throw new ApiError(500, 'internal_error', "Failed to send verification code. Please try again.");
   }
+
+  res.json({ 
+    success: true, 
+    message: "Verification code sent to your email" 
+  });
 });
 
 // @route   POST api/auth/verify-code
 // @desc    Verify email code
 // @access  Public
-router.post("/verify-code", async (req, res) => {
+router.post("/verify-code", verifyCodeLimit, validate({ body: schemas.verifyCode }), async (req, res) => {
   const { email, code } = req.body;
+
+  const signup = await PendingSignup.findOne({ email });
   
-  if (!email || !code) {
-    return res.status(400).json({ 
-      success: false, 
-      message: "Email and verification code are required" 
-    });
+  if (!signup) {
+    throw badRequest("No verification was requested for this email", 'invalid_code');
   }
-
-  try {
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "No verification was requested for this email" 
-      });
-    }
-    
-    if (user.verificationCode !== code) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Invalid verification code" 
-      });
-    }
-    
-    if (Date.now() > user.codeExpires) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Verification code has expired. Please request a new one." 
-      });
+  
+  if (!signup.verificationCode) {
+    throw badRequest("No active verification code. Please request a new one.", 'invalid_code');
+  }
+  
+  if (!codeMatches(code, signup.verificationCode)) {
+    // Throw the code away after too many wrong guesses
+    signup.verificationAttempts += 1;
+    if (signup.verificationAttempts >= MAX_CODE_ATTEMPTS) {
+      signup.verificationCode = null;
+      signup.codeExpires = null;
+      signup.verificationAttempts = 0;
+      await signup.save();
+      throw badRequest("Too many incorrect attempts. Please request a new code.", 'too_many_attempts');
     }
+    await signup.save();
+    throw badRequest("Invalid verification code", 'invalid_code');
+  }
+  
+  if (Date.now() > signup.codeExpires) {
+    throw badRequest("Verification code has expired. Please request a new one.", 'invalid_code');
+  }
 
-    // Mark as verified but don't clear the code yet (will be cleared after registration)
-    user.isVerified = true;
-    await user.save();
+  // Mark as verified; the signup is removed once registration completes
+  signup.verifiedAt = new Date();
+  await signup.save();
 
-    res.json({ 
-      success: true, 
-      message: "Email verified successfully" 
-    });
-  } catch (error) {
-    console.error("Verification error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Verification failed. Please try again." 
-    });
-  }
+  res.json({ 
+    success: true, 
+    message: "Email verified successfully" 
+  });
 });
 
 // @route   POST api/auth/register
 // @desc    Register a user
 // @access  Public
-router.post('/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-
-    // Check if required fields are provided
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'All fields are required' 
-      });
-    }
+router.post('/register', validate({ body: schemas.register }), async (req, res) => {
+  const { name, email, password } = req.body;
 
-    // Check if user already exists
-    let user = await User.findOne({ email });
-    if (user && user.password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User already exists' 
-      });
-    }
+  // Check if user already exists
+  if (await User.exists({ email, password: { $ne: null } })) {
+    throw badRequest('User already exists', 'user_exists');
+  }
 
-    // Verify that the email has been verified
-    if (!user || !user.isVerified) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Email verification required. Please verify your email first.' 
-      });
-    }
+  // Verify that the email has been verified
+  const signup = await PendingSignup.findOne({
+    email,
+    verifiedAt: { $ne: null },
+    expiresAt: { $gt: new Date() }
+  });
+  if (!signup) {
+    throw badRequest('Email verification required. Please verify your email first.', 'email_verification_required');
+  }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Update existing user record or create new one
-    if (user) {
-      // Update existing user record (from verification)
-      user.name = name;
-      user.password = hashedPassword;
-      user.verificationCode = null;  // Clear verification code
-      user.codeExpires = null;       // Clear code expiry
-      await user.save();
-    } else {
-      // Create new user
-      user = new User({
-        name,
-        email,
-        password: hashedPassword,
-        isVerified: true
-      });
-      await user.save();
+  // Hash password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  // Unfinished signups from before PendingSignup may still hold the address
+  await User.deleteMany({ email, password: null });
+
+  const user = await User.create({
+    name,
+    email,
+    password: hashedPassword,
+    isVerified: true
+  });
+  await signup.deleteOne();
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(user._id, req);
+
+  res.status(201).json({
+    success: true,
+    ...tokens,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email
     }
-
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email
-      }
-    });
-
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
-    });
-  }
+  });
 });
 
 // @route   POST api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user || !user.password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
-    }
+router.post('/login', loginLimit, validate({ body: schemas.login }), loginLockout.check, async (req, res) => {
+  const { email, password } = req.body;
+
+  // Check if user exists
+  const user = await User.findOne({ email });
+  if (!user || !user.password) {
+    await loginLockout.recordFailure(email);
+    throw badRequest('Invalid credentials', 'invalid_credentials');
+  }
 
-    // Check if email is verified
-    if (!user.isVerified) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Email not verified. Please verify your email before logging in.' 
-      });
-    }
+  // Check if email is verified
+  if (!user.isVerified) {
+    throw badRequest('Email not verified. Please verify your email before logging in.', 'email_not_verified');
+  }
 
-    // Compare passwords
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid credentials' 
-      });
+  // Compare passwords
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    await loginLockout.recordFailure(email);
+    throw badRequest('Invalid credentials', 'invalid_credentials');
+  }
+
+  await loginLockout.clear(email);
+
+  // Start a session with an access and refresh token
+  const tokens = await createSession(user._id, req);
+
+  res.json({
+    success: true,
+    ...tokens,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email
     }
+  });
+});
 
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
-    });
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res) => {
+  const tokens = await rotateSession(req.body.refreshToken, req);
+
+  if (!tokens) {
+    throw unauthorized('Refresh token is invalid or has expired', 'invalid_token');
+  }
+
+  res.json({
+    success: true,
+    ...tokens
+  });
+});
+
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  await revokeSession(req.user.id, req.user.sessionId);
+
+  res.json({ 
+    success: true, 
+    message: 'Logged out' 
+  });
+});
+
+// @route   GET api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+
+  res.json({
+    success: true,
+    sessions: sessions.map(session => ({
+      id: session.id,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session.id === req.user.sessionId
+    }))
+  });
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await revokeSession(req.user.id, req.params.id)
+    : null;
+
+  if (!session) {
+    throw notFound('Session not found');
+  }
+
+  res.json({ 
+    success: true, 
+    message: 'Session revoked' 
+  });
+});
+
+const accessTokenView = (accessToken) => ({
+  id: accessToken.id,
+  name: accessToken.name,
+  scopes: accessToken.scopes,
+  hint: accessToken.hint,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt
+});
+
+// @route   GET api/auth/tokens
+// @desc    List the user's personal access tokens
+// @access  Private
+router.get('/tokens', auth, async (req, res) => {
+  const tokens = await listAccessTokens(req.user.id);
+
+  res.json({
+    success: true,
+    tokens: tokens.map(accessTokenView)
+  });
+});
+
+// @route   POST api/auth/tokens
+// @desc    Create a personal access token for scripts and integrations
+// @access  Private
+router.post('/tokens', auth, validate({ body: schemas.createAccessToken }), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  if (scopes.length === 0) {
+    throw badRequest('scopes must name at least one scope', 'validation_failed');
+  }
+
+  if (expiresAt && expiresAt <= new Date()) {
+    throw badRequest('expiresAt must be in the future', 'validation_failed');
+  }
+
+  if (await AccessToken.countDocuments({ user: req.user.id }) >= MAX_TOKENS_PER_USER) {
+    throw badRequest(`You can have at most ${MAX_TOKENS_PER_USER} access tokens. Revoke one first.`);
   }
+
+  const { token, accessToken } = await createAccessToken(req.user.id, { name, scopes, expiresAt });
+
+  // The token is only ever shown in this response
+  res.status(201).json({
+    success: true,
+    token,
+    accessToken: accessTokenView(accessToken)
+  });
+});
+
+// @route   DELETE api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', auth, async (req, res) => {
+  const accessToken = mongoose.isValidObjectId(req.params.id)
+    ? await revokeAccessToken(req.user.id, req.params.id)
+    : null;
+
+  if (!accessToken) {
+    throw notFound('Access token not found');
+  }
+
+  res.json({ 
+    success: true, 
+    message: 'Access token revoked' 
+  });
 });
 
 // @route   GET api/auth/user
 // @desc    Get user data
 // @access  Private
 router.get('/user', auth, async (req, res) => {
+  const user = await User.findById(req.user.id).select(PRIVATE_FIELDS);
+  
+  if (!user) {
+    throw notFound('User not found');
+  }
+  
+  res.json({
+    success: true,
+    user
+  });
+});
+
+// @route   PATCH api/auth/profile
+// @desc    Update name, timezone, planning and notification preferences
+// @access  Private
+router.patch('/profile', auth, validate({ body: schemas.updateProfile }), async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  applyProfile(user, req.body);
+  await user.save();
+
+  res.json({
+    success: true,
+    user: profileView(user)
+  });
+});
+
+// @route   POST api/auth/change-password
+// @desc    Change password, given the current one; optionally revoke all access tokens
+// @access  Private
+router.post('/change-password', auth, passwordCheckLimit, validate({ body: schemas.changePassword }), async (req, res) => {
+  const { currentPassword, newPassword, revokeAccessTokens } = req.body;
+  const user = await checkPassword(req.user.id, currentPassword);
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(newPassword, salt);
+  await user.save();
+
+  // Sign out every other device; this one stays signed in
+  await revokeAllSessions(user._id, { except: req.user.sessionId });
+  const revokedAccessTokens = revokeAccessTokens ? await revokeAllAccessTokens(user._id) : 0;
+
+  res.json({
+    success: true,
+    message: 'Password changed',
+    revokedAccessTokens
+  });
+});
+
+// @route   POST api/auth/change-email
+// @desc    Send a code to a new email address to confirm the change
+// @access  Private
+router.post('/change-email', auth, passwordCheckLimit, changeEmailLimit, validate({ body: schemas.changeEmail }), async (req, res) => {
+  const { newEmail, password } = req.body;
+  const user = await checkPassword(req.user.id, password);
+
+  if (newEmail === user.email) {
+    throw badRequest('This is already your email address');
+  }
+
+  // Addresses of registered accounts are taken
+  if (await User.exists({ email: newEmail, password: { $ne: null } })) {
+    throw badRequest('An account with this email already exists', 'user_exists');
+  }
+
+  const code = generateCode();
+  user.pendingEmail = newEmail;
+  user.emailChangeCode = hashCode(code);
+  user.emailChangeAttempts = 0;
+  user.emailChangeExpires = Date.now() + 10 * 60 * 1000; // expires in 10 minutes
+  await user.save();
+
   try {
-    const user = await User.findById(req.user.userId).select('-password -verificationCode -codeExpires -resetCode -resetCodeExpires');
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
-    
-    res.json({
-      success: true,
-      user
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm Your New Email Address",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4f46e5;">Confirm Your New Email</h2>
+          <p>Use the following code to confirm this address for your account:</p>
+          <div style="background-color: #f3f4f6; padding: 15px; border-radius: 5px; text-align: center; margin: 20px 0;">
+            <h1 style="font-size: 32px; letter-spacing: 5px; margin: 0; color: #4b5563;">${code}</h1>
+          </div>
+          <p>This code will expire in 10 minutes.</p>
+          <p>If you didn't request this change, you can safely ignore this email.</p>
+        </div>
+      `,
     });
   } catch (error) {
-    console.error('User fetch error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
+    console.error("Error sending email change code:", error);
+    throw new ApiError(500, 'internal_error', "Failed to send verification code. Please try again.");
+  }
+
+  res.json({
+    success: true,
+    message: "Verification code sent to the new email address"
+  });
+});
+
+// @route   POST api/auth/change-email/confirm
+// @desc    Switch to the new email address with the code sent to it
+// @access  Private
+router.post('/change-email/confirm', auth, verifyCodeLimit, validate({ body: schemas.confirmEmailChange }), async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (!user.pendingEmail || !user.emailChangeCode) {
+    throw badRequest('No email change is pending', 'invalid_code');
+  }
+
+  if (!codeMatches(req.body.code, user.emailChangeCode)) {
+    // Throw the code away after too many wrong guesses
+    user.emailChangeAttempts += 1;
+    if (user.emailChangeAttempts >= MAX_CODE_ATTEMPTS) {
+      user.pendingEmail = null;
+      user.emailChangeCode = null;
+      user.emailChangeExpires = null;
+      user.emailChangeAttempts = 0;
+      await user.save();
+      throw badRequest('Too many incorrect attempts. Please request a new code.', 'too_many_attempts');
+    }
+    await user.save();
+    throw badRequest('Invalid verification code', 'invalid_code');
+  }
+
+  if (Date.now() > user.emailChangeExpires) {
+    throw badRequest('Verification code has expired. Please request a new one.', 'invalid_code');
+  }
+
+  const newEmail = user.pendingEmail;
+  if (await User.exists({ email: newEmail, password: { $ne: null } })) {
+    throw badRequest('An account with this email already exists', 'user_exists');
+  }
+
+  // Drop any unfinished signup for the address so it can be taken over
+  await User.deleteMany({ email: newEmail, password: null });
+  await PendingSignup.deleteMany({ email: newEmail });
+
+  const oldEmail = user.email;
+  user.email = newEmail;
+  user.isVerified = true;
+  user.pendingEmail = null;
+  user.emailChangeCode = null;
+  user.emailChangeExpires = null;
+  user.emailChangeAttempts = 0;
+  await user.save();
+
+  // Let the old address know, in case the change was not theirs
+  try {
+    await sendMail({
+      to: oldEmail,
+      subject: "Your Email Address Was Changed",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #4f46e5;">Email Address Changed</h2>
+          <p>The email address for your account was changed to ${newEmail}.</p>
+          <p>If you didn't make this change, reset your password right away.</p>
+        </div>
+      `,
     });
+  } catch (error) {
+    console.error("Error sending email change notice:", error);
   }
+
+  res.json({
+    success: true,
+    user: profileView(user)
+  });
+});
+
+// @route   DELETE api/auth/user
+// @desc    Delete the account and the user's todos
+// @access  Private
+router.delete('/user', auth, passwordCheckLimit, validate({ body: schemas.deleteAccount }), async (req, res) => {
+  const user = await checkPassword(req.user.id, req.body.password);
+  const summary = await deleteAccount(user._id);
+
+  res.json({
+    success: true,
+    message: 'Account deleted',
+    ...summary
+  });
 });
 
 // @route   POST api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', sendCodeLimit, validate({ body: schemas.forgotPassword }), async (req, res) => {
   const { email } = req.body;
-  
-  if (!email) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Email is required' 
-    });
-  }
 
-  try {
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'User not found' 
-      });
-    }
+  const user = await User.findOne({ email });
+  const response = {
+    success: true,
+    message: 'If an account uses this email, a password reset code has been sent to it'
+  };
 
-    // Generate reset code
-    const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-    const resetCodeExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
-    
-    // Save reset code to user
-    user.resetCode = resetCode;
-    user.resetCodeExpires = resetCodeExpires;
-    await user.save();
-    
-    // Setup email transporter
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+  // Answer the same either way so the route cannot be used to find
+  // out which addresses have accounts
+  if (!user) {
+    return res.json(response);
+  }
 
-    // Send password reset email
-    await transporter.sendMail({
-      from: `"Your App Name" <${process.env.EMAIL_USER}>`,
+  // Generate reset code
+  const resetCode = generateCode();
+  const resetCodeExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+  
+  // Save the hashed reset code to user
+  user.resetCode = hashCode(resetCode);
+  user.resetCodeExpires = resetCodeExpires;
+  user.resetAttempts = 0;
+  await user.save();
+  
+  // Send password reset email. A failure is only logged, since an error
+  // here would tell the caller that the account exists.
+  try {
+    await sendMail({
       to: email,
       subject: "Password Reset Code",
       html: `
@@ -360,68 +681,61 @@ router.post('/forgot-password', async (req, res) => {
         </div>
       `,
     });
-
-    res.json({ 
-      success: true, 
-      message: "Password reset code sent to your email" 
-    });
   } catch (error) {
-    console.error("Forgot password error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error' 
-    });
+    console.error('Error sending password reset code:', error);
   }
+
+  res.json(response);
 });
 
 // @route   POST api/auth/reset-password
 // @desc    Reset password with code
 // @access  Public
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', verifyCodeLimit, validate({ body: schemas.resetPassword }), async (req, res) => {
   const { email, code, newPassword } = req.body;
+
+  const user = await User.findOne({ 
+    email, 
+    resetCode: { $ne: null },
+    resetCodeExpires: { $gt: Date.now() } 
+  });
   
-  if (!email || !code || !newPassword) {
-    return res.status(400).json({ 
-      success: false,
-      message: 'Email, reset code, and new password are required' 
-    });
+  if (!user) {
+    throw badRequest('Invalid or expired reset code', 'invalid_code');
   }
-
-  try {
-    const user = await User.findOne({ 
-      email, 
-      resetCode: code,
-      resetCodeExpires: { $gt: Date.now() } 
-    });
-    
-    if (!user) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid or expired reset code' 
-      });
+  
+  if (!codeMatches(code, user.resetCode)) {
+    // Throw the code away after too many wrong guesses
+    user.resetAttempts += 1;
+    if (user.resetAttempts >= MAX_CODE_ATTEMPTS) {
+      user.resetCode = null;
+      user.resetCodeExpires = null;
+      user.resetAttempts = 0;
     }
-
-    // Hash the new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
-    
-    // Clear reset code fields
-    user.resetCode = null;
-    user.resetCodeExpires = null;
-    
     await user.save();
-
-    res.json({ 
-      success: true, 
-      message: 'Password has been reset successfully' 
-    });
-  } catch (error) {
-    console.error("Reset password error:", error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error' 
-    });
+    throw badRequest('Invalid or expired reset code', 'invalid_code');
   }
+
+  // Hash the new password
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(newPassword, salt);
+  
+  // Clear reset code fields
+  user.resetCode = null;
+  user.resetCodeExpires = null;
+  user.resetAttempts = 0;
+  
+  await user.save();
+  
+  // Sign out everywhere and revoke access tokens, in case the old
+  // password was compromised
+  await revokeAllSessions(user._id);
+  await revokeAllAccessTokens(user._id);
+
+  res.json({ 
+    success: true, 
+    message: 'Password has been reset successfully' 
+  });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const CalendarFeed = require('../models/CalendarFeed');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/calendarSchemas');
+const {
+  rotateFeedToken,
+  revokeFeed,
+  findFeedByToken,
+  renderFeed
+} = require('../services/calendarFeed');
+const { notFound } = require('../utils/errors');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+// Whether the user has a feed; the token itself is only shown when issued
+router.get('/feed', auth, async (req, res) => {
+  const feed = await CalendarFeed.findOne({ user: req.user.id });
+  res.json({
+    enabled: Boolean(feed),
+    createdAt: feed ? feed.createdAt : null,
+    lastAccessedAt: feed ? feed.lastAccessedAt : null
+  });
+});
+
+// Create the feed or rotate its token; the previous URL stops working
+router.post('/feed', auth, async (req, res) => {
+  const { token, feed } = await rotateFeedToken(req.user.id);
+  res.status(201).json({
+    token,
+    url: feedUrl(req, token),
+    createdAt: feed.createdAt
+  });
+});
+
+// Revoke the feed
+router.delete('/feed', auth, async (req, res) => {
+  if (!await revokeFeed(req.user.id)) {
+    throw notFound('Calendar feed not found');
+  }
+  res.json({ message: 'Calendar feed revoked' });
+});
+
+// Public feed of pending todos with due dates. The token in the URL is the
+// only credential, since calendar apps cannot send the auth-token header.
+// ?type=event serves VEVENTs for apps that ignore VTODOs.
+router.get('/:token.ics', validate({ query: schemas.feedQuery }), async (req, res) => {
+  const feed = await findFeedByToken(req.params.token);
+  if (!feed) {
+    throw notFound('Calendar feed not found');
+  }
+
+  const { body, etag, lastModified } = await renderFeed(feed, req.query);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'private, no-cache',
+    ETag: etag
+  });
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  // req.fresh checks If-None-Match and If-Modified-Since against the above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(body);
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/labelSchemas');
+const { LABEL_KINDS } = require('../schemas/labelSchemas');
+const {
+  listLabels,
+  styleLabel,
+  mergeLabels,
+  deleteTag
+} = require('../services/labels');
+const { badRequest } = require('../utils/errors');
+
+// Tags or categories (kind) with how many todos use each
+router.get('/:kind', auth, validate({ params: schemas.kindParams }), async (req, res) => {
+  res.json(await listLabels(req.user.id, LABEL_KINDS[req.params.kind]));
+});
+
+// Merge several tags or categories into one, across all the user's todos
+router.post('/:kind/merge', auth, validate({ params: schemas.kindParams, body: schemas.mergeLabels }), async (req, res) => {
+  if (req.body.from.length === 0) {
+    throw badRequest('from must name at least one label', 'validation_failed');
+  }
+
+  res.json(await mergeLabels(req.user.id, LABEL_KINDS[req.params.kind], req.body.from, req.body.into));
+});
+
+// Rename a tag or category everywhere (renaming onto an existing name
+// merges the two) and/or set its color and icon
+router.patch('/:kind/:name', auth, validate({ params: schemas.labelParams, body: schemas.updateLabel }), async (req, res) => {
+  const kind = LABEL_KINDS[req.params.kind];
+  const { name, color, icon } = req.body;
+  let result = null;
+  let current = req.params.name;
+
+  if (name !== undefined) {
+    result = await mergeLabels(req.user.id, kind, [current], name);
+    current = name;
+  }
+  if (color !== undefined || icon !== undefined) {
+    result = { ...result, ...await styleLabel(req.user.id, kind, current, { color, icon }) };
+  }
+  if (!result) {
+    throw badRequest('Pass name, color or icon', 'validation_failed');
+  }
+
+  res.json(result);
+});
+
+// Remove a tag from every todo. Categories are merged away instead,
+// since every todo has one.
+router.delete('/:kind/:name', auth, validate({ params: schemas.labelParams }), async (req, res) => {
+  if (req.params.kind !== 'tags') {
+    throw badRequest('Categories cannot be deleted. Merge them into another category instead.');
+  }
+
+  res.json(await deleteTag(req.user.id, req.params.name));
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const schemas = require('../schemas/listSchemas');
+const { sendMail } = require('../services/mailer');
+const { generateCode, hashCode } = require('../utils/codes');
+const { getListRole, findListWithRole } = require('../services/access');
+const { escapeHtml } = require('../utils/html');
+const { badRequest, forbidden, notFound } = require('../utils/errors');
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Every invitation mails an address the inviter chose
+const inviteLimit = rateLimit({
+  name: 'invite',
+  windowMs: 60 * 60 * 1000,
+  maxPerIp: 30,
+  maxPerUser: 20,
+  maxPerEmail: 3
+});
+
+// List as returned to clients, without invitation codes
+const formatList = (list, role) => ({
+  id: list.id,
+  name: list.name,
+  owner: list.owner,
+  role,
+  members: list.members,
+  invitations: role === 'owner'
+    ? list.invitations.map(({ _id, email, role, codeExpires }) => ({
+      id: _id,
+      email,
+      role,
+      codeExpires
+    }))
+    : undefined,
+  createdAt: list.createdAt
+});
+
+// Load a list the user belongs to, optionally requiring ownership
+const loadList = async (listId, userId, action) => {
+  const { list, role } = await findListWithRole(listId, userId);
+
+  if (!list) {
+    throw notFound('List not found');
+  }
+
+  if (action && role !== 'owner') {
+    throw forbidden(`Only the list owner can ${action}`);
+  }
+
+  return { list, role };
+};
+
+const findMember = (list, userId) => mongoose.isValidObjectId(userId)
+  ? list.members.find(member => member.user.equals(userId))
+  : null;
+
+// Get all lists the user owns or is a member of
+router.get('/', auth, async (req, res) => {
+  const lists = await List.find({
+    $or: [{ owner: req.user.id }, { 'members.user': req.user.id }]
+  }).sort({ createdAt: 1 });
+
+  res.json(lists.map(list => formatList(list, getListRole(list, req.user.id))));
+});
+
+// Create a list owned by the user
+router.post('/', auth, validate({ body: schemas.createList }), async (req, res) => {
+  const list = await List.create({ name: req.body.name, owner: req.user.id });
+  res.status(201).json(formatList(list, 'owner'));
+});
+
+// Accept an invitation sent to the user's email address
+router.post('/invitations/accept', auth, validate({ body: schemas.acceptInvitation }), async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const email = user.email.toLowerCase();
+  const codeHash = hashCode(req.body.code);
+
+  const list = await List.findOne({
+    invitations: {
+      $elemMatch: {
+        email,
+        code: codeHash,
+        codeExpires: { $gt: new Date() }
+      }
+    }
+  });
+
+  if (!list) {
+    throw badRequest('Invalid or expired invitation code', 'invalid_code');
+  }
+
+  const invitation = list.invitations.find(
+    invite => invite.email === email && invite.code === codeHash
+  );
+
+  if (!getListRole(list, user._id)) {
+    list.members.push({ user: user._id, role: invitation.role });
+  }
+  invitation.deleteOne();
+  await list.save();
+
+  res.json(formatList(list, getListRole(list, user._id)));
+});
+
+// Get a single list
+router.get('/:id', auth, async (req, res) => {
+  const { list, role } = await loadList(req.params.id, req.user.id);
+  res.json(formatList(list, role));
+});
+
+// Rename a list (owner only)
+router.put('/:id', auth, validate({ body: schemas.updateList }), async (req, res) => {
+  const { list, role } = await loadList(req.params.id, req.user.id, 'rename it');
+
+  list.name = req.body.name;
+  await list.save();
+
+  res.json(formatList(list, role));
+});
+
+// Delete a list (owner only); its todos become personal todos of their creators
+router.delete('/:id', auth, async (req, res) => {
+  const { list } = await loadList(req.params.id, req.user.id, 'delete it');
+
+  // Including todos in the trash, so they are restored as personal todos
+  await Todo.updateMany({ list: list._id }, { list: null, assignee: null }, { withDeleted: true });
+  await List.findByIdAndDelete(list._id);
+
+  res.json({ message: 'List deleted' });
+});
+
+// Invite someone to a list by email (owner only)
+router.post('/:id/invitations', auth, validate({ body: schemas.invite }), inviteLimit, async (req, res) => {
+  const { email, role } = req.body;
+  const { list } = await loadList(req.params.id, req.user.id, 'invite members');
+
+  const inviter = await User.findById(req.user.id);
+  if (inviter && inviter.email.toLowerCase() === email) {
+    throw badRequest('You already own this list');
+  }
+
+  // Generate 6-digit invitation code
+  const code = generateCode();
+
+  // Replace any earlier invitation to the same address
+  list.invitations = list.invitations.filter(invite => invite.email !== email);
+  list.invitations.push({
+    email,
+    role,
+    code: hashCode(code),
+    codeExpires: Date.now() + INVITATION_TTL,
+    invitedBy: req.user.id
+  });
+  await list.save();
+
+  await sendMail({
+    to: email,
+    // Subjects are plain text; keep line breaks out of them
+    subject: `You've been invited to "${list.name.replace(/\s+/g, ' ')}"`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4f46e5;">Join a Shared List</h2>
+        <p>${inviter && inviter.name ? escapeHtml(inviter.name) : 'Someone'} invited you to collaborate on ${escapeHtml(`"${list.name}"`)} as ${role === 'editor' ? 'an editor' : 'a viewer'}. Sign in with this email address and use the following code to accept:</p>
+        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 5px; text-align: center; margin: 20px 0;">
+          <h1 style="font-size: 32px; letter-spacing: 5px; margin: 0; color: #4b5563;">${code}</h1>
+        </div>
+        <p>This invitation will expire in 7 days.</p>
+        <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+      </div>
+    `,
+  });
+
+  res.status(201).json({ message: 'Invitation sent' });
+});
+
+// Revoke a pending invitation (owner only)
+router.delete('/:id/invitations/:invitationId', auth, async (req, res) => {
+  const { list } = await loadList(req.params.id, req.user.id, 'revoke invitations');
+
+  const invitation = mongoose.isValidObjectId(req.params.invitationId)
+    ? list.invitations.id(req.params.invitationId)
+    : null;
+
+  if (!invitation) {
+    throw notFound('Invitation not found');
+  }
+
+  invitation.deleteOne();
+  await list.save();
+
+  res.json({ message: 'Invitation revoked' });
+});
+
+// Change a member's role (owner only)
+router.put('/:id/members/:userId', auth, validate({ body: schemas.updateMember }), async (req, res) => {
+  const { list, role } = await loadList(req.params.id, req.user.id, 'change roles');
+  const member = findMember(list, req.params.userId);
+
+  if (!member) {
+    throw notFound('Member not found');
+  }
+
+  member.role = req.body.role;
+  await list.save();
+
+  res.json(formatList(list, role));
+});
+
+// Remove a member (owner), or leave the list (the member themselves)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  const { list, role } = await loadList(req.params.id, req.user.id);
+
+  if (role !== 'owner' && req.params.userId !== req.user.id) {
+    throw forbidden('Only the list owner can remove other members');
+  }
+
+  const member = findMember(list, req.params.userId);
+
+  if (!member) {
+    throw notFound('Member not found');
+  }
+
+  list.members = list.members.filter(other => other !== member);
+  await list.save();
+
+  // Their assignments in this list no longer make sense
+  await Todo.updateMany(
+    { list: list._id, assignee: member.user },
+    { assignee: null },
+    { withDeleted: true }
+  );
+
+  res.json({ message: 'Member removed' });
+});
+
+module.exports = router;
@@ -1,223 +1,734 @@
 const express = require('express');
 const router = express.Router();
 const Todo = require('../models/todoModel');
-const auth = require('../middleware/auth'); // Use proper variable name
+const PlanRun = require('../models/PlanRun');
+const TodoChange = require('../models/TodoChange');
+const User = require('../models/User');
+const { authWithScope, streamAuth } = require('../middleware/auth');
+const loadTodo = require('../middleware/todoAccess');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/todoSchemas');
+const {
+  applyPlan,
+  proposePlan,
+  acceptProposal,
+  rejectProposal
+} = require('../services/planner');
+const { getCompletionStats, defaultRange } = require('../services/stats');
+const { exportTodos, importTodos } = require('../services/importExport');
+const { runBulkAction } = require('../services/bulk');
+const { openStream } = require('../services/events');
+const { normalizeLabels } = require('../services/labels');
+const { parseIfMatch, versionFilter, listChanges, applyMutations } = require('../services/sync');
+const {
+  plannerActor,
+  userActor,
+  snapshot,
+  recordChange,
+  applySnapshot
+} = require('../services/history');
+const {
+  purgeDate,
+  trashTodos,
+  restoreTodo,
+  purgeTodos
+} = require('../services/trash');
+const {
+  canEdit,
+  accessibleTodoFilter,
+  editableTodoFilter,
+  findListWithRole,
+  validateAssignee
+} = require('../services/access');
+const { validateParent, completeIfAllDone, withProgress } = require('../services/subtasks');
+const {
+  TEMPLATE_FIELDS,
+  buildTemplate,
+  findNextDueDate,
+  spawnNextOccurrence
+} = require('../services/recurrence');
+const { normalizeRule } = require('../utils/recurrence');
+const { parseQuickAdd } = require('../utils/quickAdd');
+const { validateObject } = require('../utils/validation');
+const { buildTodoFilter, parseSort, findTodosPage } = require('../utils/todoQuery');
+const { badRequest, conflict, forbidden, notFound } = require('../utils/errors');
 
-// Get all todos for the authenticated user
-router.get('/', auth, async (req, res) => {
-  try {
-    const todos = await Todo.find({ user: req.user.id });
-    res.json(todos);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+const MAX_STATS_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Personal access tokens need the scope a route names; signed-in sessions
+// can use every route
+const canRead = authWithScope('todos:read');
+const canWrite = authWithScope('todos:write');
+const canPlan = authWithScope('plan');
+
+// CSV and iCalendar uploads arrive as text bodies
+const importBody = express.text({
+  type: ['text/csv', 'text/calendar', 'text/plain'],
+  limit: '5mb'
+});
+
+const IMPORT_CONTENT_TYPES = { 'text/csv': 'csv', 'text/calendar': 'ics', 'application/json': 'json' };
+
+// Get todos visible to the authenticated user, with optional filters and sorting.
+// Passing limit or cursor switches to paginated { todos, nextCursor } responses.
+router.get('/', canRead, validate({ query: schemas.listTodosQuery }), async (req, res) => {
+  let baseFilter;
+
+  if (req.query.list !== undefined) {
+    const { list } = await findListWithRole(req.query.list, req.user.id);
+    if (!list) {
+      throw notFound('List not found');
+    }
+    baseFilter = { list: list._id };
+  } else {
+    baseFilter = await accessibleTodoFilter(req.user.id);
   }
+
+  const filter = buildTodoFilter(req.query, baseFilter);
+
+  if (req.query.assignee !== undefined) {
+    filter.assignee = req.query.assignee === 'me' ? req.user.id : req.query.assignee;
+  }
+
+  if (req.query.limit !== undefined || req.query.cursor !== undefined) {
+    const page = await findTodosPage(filter, req.query);
+    page.todos = await withProgress(page.todos);
+    return res.json(page);
+  }
+
+  const { field, direction } = parseSort(req.query.sort);
+  const todos = await Todo.find(filter).sort({ [field]: direction, _id: direction });
+  res.json(await withProgress(todos));
 });
 
-// Create a new todo
-router.post('/', auth, async (req, res) => {
+// Create a todo from validated createTodo fields (pass parent to create a
+// subtask, list to share it)
+const createTodo = async (userId, fields) => {
+  const listId = fields.list || null;
+
+  if (listId) {
+    const { list, role } = await findListWithRole(listId, userId);
+    if (!list) {
+      throw notFound('List not found');
+    }
+    if (!canEdit(role)) {
+      throw forbidden('You do not have permission to add todos to this list');
+    }
+  }
+
+  if (fields.parent) {
+    const parentError = await validateParent(fields.parent, userId, { list: listId });
+    if (parentError) {
+      throw badRequest(parentError);
+    }
+  }
+
+  if (fields.assignee) {
+    const assigneeError = await validateAssignee(fields.assignee, listId, userId);
+    if (assigneeError) {
+      throw badRequest(assigneeError);
+    }
+  }
+
+  let recurrence = null;
+  if (fields.recurrence) {
+    const { rule, error } = normalizeRule(fields.recurrence, fields.dueDate);
+    if (error) {
+      throw badRequest(error);
+    }
+    recurrence = rule;
+  }
+
+  // Spellings of existing tags and categories are folded into one
+  const labels = await normalizeLabels(userId, {
+    tags: fields.tags || [],
+    category: fields.category || 'general'
+  });
+
   const todo = new Todo({
-    title: req.body.title,
-    completed: req.body.completed || false,
-    dueDate: req.body.dueDate,
-    priority: req.body.priority || 'medium',
-    tags: req.body.tags || [],
-    category: req.body.category || 'general',
-    notes: req.body.notes || '',
-    user: req.user.id // Use user ID from token
+    title: fields.title,
+    completed: fields.completed || false,
+    dueDate: fields.dueDate || (recurrence ? recurrence.dtstart : undefined),
+    priority: fields.priority || 'medium',
+    tags: labels.tags,
+    category: labels.category,
+    notes: fields.notes || '',
+    estimateMinutes: fields.estimateMinutes || null,
+    items: (fields.items || []).map(text => ({ text })),
+    parent: fields.parent || null,
+    list: listId,
+    assignee: fields.assignee || null,
+    recurrence,
+    user: userId // Use user ID from token
   });
 
-  try {
-    const newTodo = await todo.save();
-    res.status(201).json(newTodo);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+  // A recurring todo is the first occurrence of its own series
+  if (recurrence) {
+    todo.seriesId = todo._id;
+    todo.occurrence = 1;
+    todo.seriesTemplate = buildTemplate(todo);
+  }
+
+  const newTodo = await todo.save();
+  await recordChange(newTodo, { actor: userActor(userId) });
+  return newTodo;
+};
+
+// Create a new todo
+router.post('/', canWrite, validate({ body: schemas.createTodo }), async (req, res) => {
+  const todo = await createTodo(req.user.id, req.body);
+  res.status(201).json(await withProgress(todo));
+});
+
+// Quick add: read the due date, recurrence, #tags, !priority and
+// @category out of a line of text. With preview, nothing is saved.
+router.post('/quick', canWrite, validate({ body: schemas.quickTodo }), async (req, res) => {
+  const user = await User.findById(req.user.id).select('timezone');
+  const { title, fields, errors } = parseQuickAdd(req.body.text, { timezone: user ? user.timezone : undefined });
+
+  // Parsed values must fit the same limits as a todo created directly
+  const parsed = validateObject({ ...fields, title }, schemas.createTodo, errors);
+  if (fields.recurrence) {
+    const { error } = normalizeRule(fields.recurrence, fields.dueDate);
+    if (error) {
+      errors.push({ field: 'recurrence', code: 'invalid_recurrence', message: error });
+    }
+  }
+
+  if (req.body.preview) {
+    return res.json({ parsed, errors, todo: null });
   }
+  if (errors.length > 0) {
+    throw badRequest('Could not create a todo from this text', 'validation_failed', errors);
+  }
+
+  const todo = await createTodo(req.user.id, { ...parsed, list: req.body.list });
+  res.status(201).json({ parsed, errors, todo: await withProgress(todo) });
+});
+
+// Parameters each bulk action needs
+const BULK_ACTION_PARAMS = {
+  reschedule: 'dueDate',
+  setPriority: 'priority',
+  setCategory: 'category',
+  addTags: 'tags',
+  removeTags: 'tags'
+};
+
+// Apply one action to many todos, chosen by ids or by a filter like the
+// one GET /api/todos takes. Returns a result for every id.
+router.post('/bulk', canWrite, validate({ body: schemas.bulkTodos }), async (req, res) => {
+  const { action, ids, filter } = req.body;
+
+  if ((ids === undefined) === (filter === undefined)) {
+    throw badRequest('Pass either ids or filter', 'validation_failed');
+  }
+
+  if (filter !== undefined && Object.keys(filter).length === 0) {
+    throw badRequest('filter must have at least one condition', 'validation_failed');
+  }
+
+  const param = BULK_ACTION_PARAMS[action];
+  if (param && (req.body[param] === undefined || (param === 'tags' && req.body.tags.length === 0))) {
+    throw badRequest(`${action} requires ${param}`, 'validation_failed');
+  }
+
+  res.json(await runBulkAction(req.user.id, req.body));
+});
+
+// Todos changed since a previous sync, plus ids of deleted ones. Pass the
+// returned nextSince back as since; keep going while hasMore is true.
+router.get('/changes', canRead, validate({ query: schemas.changesQuery }), async (req, res) => {
+  res.json(await listChanges(req.user.id, req.query));
+});
+
+// Apply changes made offline. Every mutation gets its own result, and
+// ones based on a stale version come back as conflicts.
+router.post('/sync', canWrite, validate({ body: schemas.syncTodos }), async (req, res) => {
+  res.json(await applyMutations(req.user.id, req.body.mutations));
 });
 
 // Update a todo
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const todo = await Todo.findOne({ 
-      _id: req.params.id,
-      user: req.user.id // Ensure the todo belongs to the user
-    });
-    
-    if (!todo) {
-      return res.status(404).json({ message: 'Todo not found' });
+router.put('/:id', canWrite, loadTodo('edit'), validate({ body: schemas.updateTodo }), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+  const { version, ...changes } = req.body;
+  
+  // Clients can guard against lost updates with If-Match or body.version;
+  // a 409 carries the current { version, todo }
+  const expectedVersion = parseIfMatch(req.get('If-Match')) ?? version;
+  if (expectedVersion !== undefined && expectedVersion !== todo.version) {
+    throw conflict('This todo was changed by someone else', { version: todo.version, todo });
+  }
+  
+  // Moving a todo to another list needs edit rights there; only the
+  // creator can take it back out as a personal todo
+  const listId = changes.list === undefined ? todo.list : changes.list;
+  if (changes.list !== undefined && String(changes.list || '') !== String(todo.list || '')) {
+    if (listId) {
+      const { list, role } = await findListWithRole(listId, req.user.id);
+      if (!list || !canEdit(role)) {
+        throw forbidden('You do not have permission to move todos to this list');
+      }
+    } else if (!todo.user.equals(req.user.id)) {
+      throw forbidden('Only the creator can make this todo personal');
     }
-    
-    // Check if the todo is being marked as completed
-    if (req.body.completed && !todo.completed) {
-      req.body.completedAt = new Date();
-    } else if (req.body.completed === false) {
-      req.body.completedAt = null;
+  
+    // Keep the assignee only if they can still see the todo
+    if (changes.assignee === undefined && todo.assignee &&
+        await validateAssignee(todo.assignee, listId, todo.user)) {
+      changes.assignee = null;
     }
-    
-    const updatedTodo = await Todo.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-    
-    res.json(updatedTodo);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-});
-
-// Delete a todo
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const todo = await Todo.findOne({
-      _id: req.params.id,
-      user: req.user.id // Ensure the todo belongs to the user
+  }
+  
+  if (changes.parent) {
+    const parentError = await validateParent(changes.parent, req.user.id, {
+      todoId: todo._id,
+      list: listId
     });
-     
-    if (!todo) {
-      return res.status(404).json({ message: 'Todo not found' });
+    if (parentError) {
+      throw badRequest(parentError);
     }
-    
-    await Todo.findByIdAndDelete(req.params.id);
-    
-    res.json({ message: 'Todo deleted' });
-  } catch (error) {
-    console.error('Error in delete route:', error);
-    res.status(500).json({ message: error.message });
-  }
-});
-
-// Analyze and plan tomorrow's tasks
-router.post('/plan-tomorrow', auth, async (req, res) => {
-  try {
-    // Get completion statistics for the current user
-    const completedTodos = await Todo.find({ 
-      completed: true,
-      user: req.user.id
-    });
-    
-    const pendingTodos = await Todo.find({ 
-      completed: false,
-      user: req.user.id
-    });
-    
-    // Rest of the planning code remains the same...
-    // Analyze completion patterns
-    const completionByDay = {};
-    const completionByCategory = {};
-    const averageCompletionTimes = {};
-    
-    completedTodos.forEach(todo => {
-      if (todo.completedAt && todo.createdAt) {
-        // Analyze by day of week
-        const day = new Date(todo.completedAt).getDay();
-        completionByDay[day] = (completionByDay[day] || 0) + 1;
-        
-        // Analyze by category
-        const category = todo.category || 'general';
-        if (!completionByCategory[category]) {
-          completionByCategory[category] = { count: 0, totalTime: 0 };
-        }
-        
-        // Calculate completion time
-        const completionTime = todo.completedAt - todo.createdAt;
-        completionByCategory[category].count++;
-        completionByCategory[category].totalTime += completionTime;
-      }
-    });
-    
-    // Calculate average completion time by category
-    Object.keys(completionByCategory).forEach(category => {
-      const { count, totalTime } = completionByCategory[category];
-      averageCompletionTimes[category] = count > 0 ? totalTime / count : 0;
-    });
-    
-    // Find the day with highest completion rate
-    let mostProductiveDay = 0;
-    let highestCompletions = 0;
-    
-    Object.keys(completionByDay).forEach(day => {
-      if (completionByDay[day] > highestCompletions) {
-        mostProductiveDay = parseInt(day);
-        highestCompletions = completionByDay[day];
-      }
-    });
-    
-    // Get tomorrow's date
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    
-    // Check if we already have planned tasks for tomorrow for this user
-    const existingPlannedTasks = await Todo.find({
-      dueDate: {
-        $gte: tomorrow,
-        $lt: new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000)
-      },
-      user: req.user.id
-    });
-    
-    if (existingPlannedTasks.length > 0) {
-      return res.json({
-        planned: false,
-        message: 'Tasks for tomorrow already exist',
-        tasksExisting: existingPlannedTasks.length
-      });
+  }
+  
+  if (changes.assignee) {
+    const assigneeError = await validateAssignee(changes.assignee, listId, todo.user);
+    if (assigneeError) {
+      throw badRequest(assigneeError);
     }
-    
-    // Find uncompleted high priority tasks and set them for tomorrow
-    const highPriorityTasks = pendingTodos.filter(todo => todo.priority === 'high');
-    
-    // Update high priority tasks to be due tomorrow
-    for (const task of highPriorityTasks) {
-      task.dueDate = tomorrow;
-      await task.save();
+  }
+  
+  Object.assign(changes, await normalizeLabels(req.user.id, changes));
+  
+  // Check if the todo is being marked as completed
+  if (changes.completed && !todo.completed) {
+    changes.completedAt = new Date();
+  } else if (changes.completed === false) {
+    changes.completedAt = null;
+  }
+  
+  const updatedTodo = await Todo.findOneAndUpdate(
+    expectedVersion === undefined
+      ? { _id: todo._id }
+      : { _id: todo._id, version: versionFilter(todo.version) },
+    changes,
+    { new: true, runValidators: true }
+  );
+  if (!updatedTodo) {
+    const current = await Todo.findById(todo._id);
+    throw conflict('This todo was changed by someone else', { version: current && current.version, todo: current });
+  }
+  await recordChange(updatedTodo, { before, actor: userActor(req.user.id) });
+  
+  // Completing the last open subtask completes its parent
+  if (updatedTodo.completed && updatedTodo.parent) {
+    await completeIfAllDone(await Todo.findById(updatedTodo.parent));
+  }
+  
+  const response = await withProgress(updatedTodo);
+  
+  // Completing an occurrence of a recurring todo creates the next one
+  if (updatedTodo.completed && !todo.completed && updatedTodo.recurrence) {
+    response.nextOccurrence = await spawnNextOccurrence(updatedTodo);
+  }
+  
+  res.set('ETag', `"${updatedTodo.version}"`);
+  res.json(response);
+});
+
+// List todos in the trash, most recently deleted first. Subtasks deleted
+// along with their parent are restored with it and not listed separately.
+router.get('/trash', canRead, validate({ query: schemas.trashQuery }), async (req, res) => {
+  const todos = await Todo.find({
+    ...await accessibleTodoFilter(req.user.id),
+    deletedAt: { $ne: null },
+    deletedWith: null
+  })
+    .sort({ deletedAt: -1, _id: -1 })
+    .limit(req.query.limit);
+
+  res.json(todos.map(todo => ({ ...todo.toJSON(), purgeAt: purgeDate(todo.deletedAt) })));
+});
+
+// Empty the trash of every todo the user can change
+router.delete('/trash', canWrite, async (req, res) => {
+  const todos = await Todo.find({
+    ...await editableTodoFilter(req.user.id),
+    deletedAt: { $ne: null },
+    deletedWith: null
+  }).select('_id');
+
+  const deleted = await purgeTodos(todos.map(todo => todo._id));
+  res.json({ message: 'Trash emptied', deleted });
+});
+
+// Restore a todo from the trash
+router.post('/trash/:id/restore', canWrite, loadTodo('edit', { deleted: true }), async (req, res) => {
+  if (req.todo.deletedWith) {
+    throw badRequest('This subtask was deleted with its parent. Restore the parent instead.');
+  }
+
+  const todo = await restoreTodo(req.todo, { actor: userActor(req.user.id) });
+  res.json(await withProgress(todo));
+});
+
+// Permanently delete a todo from the trash
+router.delete('/trash/:id', canWrite, loadTodo('edit', { deleted: true }), async (req, res) => {
+  if (req.todo.deletedWith) {
+    throw badRequest('This subtask was deleted with its parent. Delete the parent instead.');
+  }
+
+  await purgeTodos([req.todo._id]);
+  res.json({ message: 'Todo permanently deleted' });
+});
+
+// Move a todo and its subtasks to the trash
+router.delete('/:id', canWrite, loadTodo('edit'), async (req, res) => {
+  const deletedAt = new Date();
+  
+  await trashTodos([req.todo], deletedAt);
+  await recordChange(req.todo, {
+    before: snapshot(req.todo),
+    actor: userActor(req.user.id),
+    action: 'deleted'
+  });
+  
+  res.json({ message: 'Todo moved to trash', purgeAt: purgeDate(deletedAt) });
+});
+
+// Add a checklist item to a todo
+router.post('/:id/items', canWrite, loadTodo('edit'), validate({ body: schemas.addItem }), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+
+  // Insert at the requested position, or append
+  const position = req.body.position === undefined
+    ? todo.items.length
+    : Math.min(req.body.position, todo.items.length);
+  todo.items.splice(position, 0, { text: req.body.text });
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+
+  res.status(201).json(await withProgress(todo));
+});
+
+// Reorder checklist items; body.order lists every item id in the new order
+router.put('/:id/items/order', canWrite, loadTodo('edit'), validate({ body: schemas.reorderItems }), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+  const ids = req.body.order;
+
+  const sameItems = ids.length === todo.items.length &&
+    new Set(ids).size === ids.length &&
+    ids.every(id => todo.items.id(id));
+
+  if (!sameItems) {
+    throw badRequest('order must contain each item id exactly once');
+  }
+
+  const reordered = ids.map(id => todo.items.id(id).toObject());
+  todo.items = reordered;
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+
+  res.json(await withProgress(todo));
+});
+
+// Update a checklist item's text, or toggle it (omit done to flip it)
+router.patch('/:id/items/:itemId', canWrite, loadTodo('edit'), validate({ body: schemas.updateItem }), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+  const item = todo.items.id(req.params.itemId);
+
+  if (!item) {
+    throw notFound('Item not found');
+  }
+
+  if (req.body.text !== undefined) {
+    item.text = req.body.text;
+  }
+
+  const done = req.body.done === undefined
+    ? (req.body.text === undefined ? !item.done : item.done)
+    : req.body.done;
+
+  if (done && !item.done) {
+    item.doneAt = new Date();
+  } else if (!done) {
+    item.doneAt = null;
+  }
+  item.done = done;
+
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+
+  // Checking off the last item completes the todo
+  await completeIfAllDone(todo);
+
+  res.json(await withProgress(todo));
+});
+
+// Remove a checklist item
+router.delete('/:id/items/:itemId', canWrite, loadTodo('edit'), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+  const item = todo.items.id(req.params.itemId);
+
+  if (!item) {
+    throw notFound('Item not found');
+  }
+
+  item.deleteOne();
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+
+  // Removing the last open item may leave everything done
+  await completeIfAllDone(todo);
+
+  res.json(await withProgress(todo));
+});
+
+// Edit a recurring todo. scope "this" changes only this occurrence;
+// scope "future" also updates the template and rule used for later ones.
+router.put('/:id/series', canWrite, loadTodo('edit'), validate({ body: schemas.updateSeries }), async (req, res) => {
+  const { scope, recurrence, ...fields } = req.body;
+  const changes = { ...fields, ...await normalizeLabels(req.user.id, fields) };
+  const todo = req.todo;
+  const before = snapshot(todo);
+
+  if (scope === 'this' && recurrence !== undefined) {
+    throw badRequest('The recurrence rule can only be changed for future occurrences');
+  }
+
+  if (!todo.recurrence) {
+    throw badRequest('Todo is not recurring');
+  }
+
+  // Keep the series defaults before this occurrence diverges from them
+  if (!todo.seriesTemplate) {
+    todo.seriesTemplate = buildTemplate(todo);
+  }
+
+  [...TEMPLATE_FIELDS, 'dueDate'].forEach(field => {
+    if (changes[field] !== undefined) {
+      todo[field] = changes[field];
     }
-    
-    // Determine optimal number of tasks based on completion history
-    // Simple logic: Use the average of completed tasks per day + 1
-    const avgCompletedPerDay = completedTodos.length / 7; // rough estimate
-    const optimalTaskCount = Math.ceil(Math.max(3, avgCompletedPerDay + 1)); // at least 3 tasks
-    
-    // If we need more tasks beyond high priority ones
-    const additionalTasksNeeded = Math.max(0, optimalTaskCount - highPriorityTasks.length);
-    
-    if (additionalTasksNeeded > 0) {
-      // Get medium priority tasks that aren't scheduled yet
-      const mediumPriorityTasks = pendingTodos.filter(
-        todo => todo.priority === 'medium' && !todo.dueDate
-      );
-      
-      // Take as many as needed or available
-      const tasksToAdd = mediumPriorityTasks.slice(0, additionalTasksNeeded);
-      
-      // Update them for tomorrow
-      for (const task of tasksToAdd) {
-        task.dueDate = tomorrow;
-        await task.save();
+  });
+
+  if (scope === 'future') {
+    TEMPLATE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        todo.seriesTemplate[field] = todo[field];
       }
-    }
-    
-    // Get the final list of tomorrow's tasks
-    const tomorrowTasks = await Todo.find({
-      dueDate: {
-        $gte: tomorrow,
-        $lt: new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000)
-      },
-      user: req.user.id
     });
-    
-    res.json({
-      planned: true,
-      taskCount: tomorrowTasks.length,
-      analysis: {
-        mostProductiveDay,
-        completionByCategory,
-        averageCompletionTimes
+
+    if (recurrence === null) {
+      todo.recurrence = null;
+    } else if (recurrence !== undefined || changes.dueDate !== undefined) {
+      // Re-anchor the series on this occurrence's due date
+      const { rule, error } = normalizeRule({
+        ...todo.recurrence.toObject(),
+        ...recurrence,
+        dtstart: todo.dueDate
+      }, todo.dueDate);
+
+      if (error) {
+        throw badRequest(error);
       }
+      todo.recurrence = rule;
+    }
+  }
+
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+  res.json(await withProgress(todo));
+});
+
+// Skip this occurrence of a recurring todo; it becomes the next occurrence
+router.post('/:id/skip', canWrite, loadTodo('edit'), async (req, res) => {
+  const todo = req.todo;
+  const before = snapshot(todo);
+
+  if (!todo.recurrence) {
+    throw badRequest('Todo is not recurring');
+  }
+
+  if (todo.completed) {
+    throw badRequest('Completed occurrences cannot be skipped');
+  }
+
+  const dueDate = await findNextDueDate(todo);
+
+  if (!dueDate) {
+    throw badRequest('This is the last occurrence of the series. Delete it instead.');
+  }
+
+  // Start the next occurrence from the series defaults
+  if (todo.seriesTemplate) {
+    TEMPLATE_FIELDS.forEach(field => {
+      todo[field] = todo.seriesTemplate[field];
     });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
   }
+  todo.items.forEach(item => {
+    item.done = false;
+    item.doneAt = null;
+  });
+  todo.dueDate = dueDate;
+  todo.occurrence = (todo.occurrence || 1) + 1;
+
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id) });
+  res.json(await withProgress(todo));
+});
+
+// Stream changes to the user's todos as Server-Sent Events. Reconnecting
+// with Last-Event-ID (or ?lastEventId) replays the changes missed since.
+router.get('/events', streamAuth('todos:read'), async (req, res) => {
+  await openStream(req, res, {
+    userId: req.user.id,
+    lastEventId: req.header('last-event-id') || req.query.lastEventId,
+    expiresAt: req.user.expiresAt
+  });
+});
+
+// Find history entries matching the filter, newest first, older than
+// ?before for paging
+const findHistory = (filter, query) => {
+  const conditions = { ...filter };
+  if (query.before) {
+    conditions.createdAt = { $lt: query.before };
+  }
+  if (query.actor) {
+    conditions['actor.kind'] = query.actor;
+  }
+  return TodoChange.find(conditions)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(query.limit);
+};
+
+// Activity across every todo the user can see
+router.get('/activity', canRead, validate({ query: schemas.historyQuery }), async (req, res) => {
+  res.json(await findHistory(await accessibleTodoFilter(req.user.id), req.query));
+});
+
+// Change history of a todo
+router.get('/:id/history', canRead, loadTodo('view'), validate({ query: schemas.historyQuery }), async (req, res) => {
+  res.json(await findHistory({ todo: req.todo._id }, req.query));
+});
+
+// Revert a todo to how it was after a change in its history. The list,
+// assignee and parent are left as they are.
+router.post('/:id/revert', canWrite, loadTodo('edit'), validate({ body: schemas.revertTodo }), async (req, res) => {
+  const todo = req.todo;
+  const change = await TodoChange.findOne({ _id: req.body.changeId, todo: todo._id });
+
+  if (!change || !change.snapshot) {
+    throw notFound('History entry not found');
+  }
+
+  const before = snapshot(todo);
+  applySnapshot(todo, change.snapshot);
+  await todo.save();
+  await recordChange(todo, { before, actor: userActor(req.user.id), action: 'reverted' });
+
+  res.json(await withProgress(todo));
+});
+
+// Analyze and plan tomorrow's tasks, recording the run like the nightly
+// planner does. With dryRun the plan is stored as a proposal to accept or
+// reject instead of being applied.
+router.post('/plan-tomorrow', canPlan, validate({ body: schemas.planTomorrow }), async (req, res) => {
+  const user = await User.findById(req.user.id).select('timezone');
+  const options = {
+    timezone: user ? user.timezone : 'UTC',
+    actor: plannerActor(req.user.id)
+  };
+  const result = req.body.dryRun
+    ? await proposePlan(req.user.id, options)
+    : await applyPlan(req.user.id, options);
+  res.json(result);
+});
+
+// Accept a proposed plan; its open tasks become due on the planned day
+router.post('/plan-runs/:id/accept', canPlan, async (req, res) => {
+  const user = await User.findById(req.user.id).select('timezone');
+  const run = await acceptProposal(req.user.id, req.params.id, {
+    timezone: user ? user.timezone : 'UTC'
+  });
+  res.json(run);
+});
+
+// Reject a proposed plan without changing any todo
+router.post('/plan-runs/:id/reject', canPlan, async (req, res) => {
+  const user = await User.findById(req.user.id).select('timezone');
+  const run = await rejectProposal(req.user.id, req.params.id, {
+    timezone: user ? user.timezone : 'UTC'
+  });
+  res.json(run);
+});
+
+// Get the nightly planner's results for the authenticated user
+router.get('/plan-runs', canPlan, validate({ query: schemas.planRunsQuery }), async (req, res) => {
+  const runs = await PlanRun.find({ user: req.user.id })
+    .sort({ createdAt: -1 })
+    .limit(req.query.limit);
+  res.json(runs);
+});
+
+// Completion statistics over a date range (defaults to the last 30 days)
+router.get('/stats', canRead, validate({ query: schemas.statsQuery }), async (req, res) => {
+  const user = await User.findById(req.user.id).select('timezone');
+  const timezone = user ? user.timezone : 'UTC';
+  const range = defaultRange(timezone);
+  const from = req.query.from || range.from;
+  const to = req.query.to || range.to;
+
+  if (from >= to) {
+    throw badRequest('from must be before to', 'validation_failed');
+  }
+
+  if (to - from > MAX_STATS_RANGE_MS) {
+    throw badRequest('The range can be at most 366 days', 'validation_failed');
+  }
+
+  const stats = await getCompletionStats(req.user.id, {
+    from,
+    to,
+    granularity: req.query.granularity,
+    timezone
+  });
+  res.json(stats);
+});
+
+// Download all of the user's todos as JSON, CSV or iCalendar (VTODO)
+router.get('/export', canRead, validate({ query: schemas.exportQuery }), async (req, res) => {
+  const file = await exportTodos(req.user.id, req.query.format);
+  res.set('Content-Type', file.contentType);
+  res.attachment(file.filename);
+  res.send(file.body);
+});
+
+// Import todos from JSON, CSV or iCalendar. The format comes from ?format
+// or the Content-Type; every row is reported as created, updated, skipped
+// or failed.
+router.post('/import', canWrite, importBody, validate({ query: schemas.importQuery }), async (req, res) => {
+  const format = req.query.format ||
+    IMPORT_CONTENT_TYPES[req.is(Object.keys(IMPORT_CONTENT_TYPES)) || ''];
+
+  if (!format) {
+    throw badRequest('Pass ?format=json|csv|ics or a matching Content-Type', 'invalid_import');
+  }
+
+  if (req.body === undefined || req.body === '') {
+    throw badRequest('Nothing to import', 'invalid_import');
+  }
+
+  const user = await User.findById(req.user.id).select('timezone');
+  const result = await importTodos(req.user.id, format, req.body, {
+    dedupe: req.query.dedupe,
+    timezone: user ? user.timezone : 'UTC'
+  });
+  res.json(result);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
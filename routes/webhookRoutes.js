@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/webhookSchemas');
+const {
+  MAX_WEBHOOKS_PER_USER,
+  generateSecret,
+  checkDestination,
+  pingWebhook
+} = require('../services/webhooks');
+const { badRequest, notFound } = require('../utils/errors');
+
+// Webhook as returned to clients; the secret is only shown when it is set
+const formatWebhook = (webhook, { withSecret = false } = {}) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  secret: withSecret ? webhook.secret : undefined,
+  consecutiveFailures: webhook.consecutiveFailures,
+  disabledAt: webhook.disabledAt,
+  disabledReason: webhook.disabledReason,
+  lastSuccessAt: webhook.lastSuccessAt,
+  createdAt: webhook.createdAt
+});
+
+const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt
+});
+
+// Load one of the user's webhooks
+const loadWebhook = async (webhookId, userId) => {
+  const webhook = mongoose.isValidObjectId(webhookId)
+    ? await Webhook.findOne({ _id: webhookId, user: userId })
+    : null;
+
+  if (!webhook) {
+    throw notFound('Webhook not found');
+  }
+  return webhook;
+};
+
+const checkEvents = (events) => {
+  if (events !== undefined && events.length === 0) {
+    throw badRequest('events must name at least one event', 'validation_failed');
+  }
+};
+
+const checkUrl = async (url) => {
+  const error = url !== undefined && await checkDestination(url);
+  if (error) {
+    throw badRequest(error, 'validation_failed');
+  }
+};
+
+// Get the user's webhooks
+router.get('/', auth, async (req, res) => {
+  const webhooks = await Webhook.find({ user: req.user.id }).sort({ createdAt: -1 });
+  res.json(webhooks.map(webhook => formatWebhook(webhook)));
+});
+
+// Subscribe a URL to todo events. Without a secret one is generated; it
+// is returned only in this response.
+router.post('/', auth, validate({ body: schemas.createWebhook }), async (req, res) => {
+  checkEvents(req.body.events);
+  await checkUrl(req.body.url);
+
+  if (await Webhook.countDocuments({ user: req.user.id }) >= MAX_WEBHOOKS_PER_USER) {
+    throw badRequest(`You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+  }
+
+  const webhook = await Webhook.create({
+    user: req.user.id,
+    url: req.body.url,
+    events: [...new Set(req.body.events)],
+    secret: req.body.secret || generateSecret()
+  });
+
+  res.status(201).json(formatWebhook(webhook, { withSecret: true }));
+});
+
+// Change a webhook's URL or events, or switch it off and on again
+router.patch('/:id', auth, validate({ body: schemas.updateWebhook }), async (req, res) => {
+  const webhook = await loadWebhook(req.params.id, req.user.id);
+  const { url, events, active } = req.body;
+  checkEvents(events);
+  await checkUrl(url);
+
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (active === true && !webhook.active) {
+    webhook.consecutiveFailures = 0;
+    webhook.disabledAt = null;
+    webhook.disabledReason = null;
+  } else if (active === false && webhook.active) {
+    webhook.disabledAt = new Date();
+    webhook.disabledReason = 'Disabled by user';
+  }
+  if (active !== undefined) webhook.active = active;
+  await webhook.save();
+
+  res.json(formatWebhook(webhook));
+});
+
+// Replace a webhook's signing secret; the new one is returned only here
+router.post('/:id/secret', auth, async (req, res) => {
+  const webhook = await loadWebhook(req.params.id, req.user.id);
+  webhook.secret = generateSecret();
+  await webhook.save();
+
+  res.json(formatWebhook(webhook, { withSecret: true }));
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', auth, async (req, res) => {
+  const webhook = await loadWebhook(req.params.id, req.user.id);
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+
+  res.json({ message: 'Webhook deleted' });
+});
+
+// Send a signed ping right away and report how the receiver answered
+router.post('/:id/ping', auth, async (req, res) => {
+  const webhook = await loadWebhook(req.params.id, req.user.id);
+  res.json(formatDelivery(await pingWebhook(webhook)));
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', auth, validate({ query: schemas.deliveriesQuery }), async (req, res) => {
+  const webhook = await loadWebhook(req.params.id, req.user.id);
+  const filter = { webhook: webhook._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(req.query.limit);
+
+  res.json(deliveries.map(formatDelivery));
+});
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const cleanupRunsQuery = {
+  limit: { type: 'integer', min: 1, max: 100, default: 30 }
+};
+
+module.exports = {
+  cleanupRunsQuery
+};
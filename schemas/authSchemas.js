@@ -0,0 +1,108 @@
+const { isValidTimezone } = require('../utils/timezone');
+const { TOKEN_SCOPES } = require('../services/accessTokens');
+
+// Addresses are compared as stored, so they are trimmed and lowercased
+const email = {
+  type: 'string',
+  trim: true,
+  lowercase: true,
+  required: true,
+  maxLength: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'Must be a valid email address'
+};
+
+const code = {
+  type: 'string',
+  trim: true,
+  required: true,
+  pattern: /^\d{6}$/,
+  patternMessage: 'Must be a 6-digit code'
+};
+
+const password = { type: 'string', required: true, minLength: 1, maxLength: 200 };
+
+const name = { type: 'string', trim: true, required: true, minLength: 1, maxLength: 100 };
+
+const sendVerificationCode = { email };
+
+const verifyCode = { email, code };
+
+const register = {
+  name,
+  email,
+  password
+};
+
+const login = { email, password };
+
+const refresh = {
+  refreshToken: { type: 'string', required: true, minLength: 1 }
+};
+
+// Name and preferences; every field is optional
+const updateProfile = {
+  name: { ...name, required: false },
+  timezone: {
+    type: 'string',
+    validate: value => (isValidTimezone(value)
+      ? null
+      : 'Must be an IANA timezone such as "Europe/Berlin"')
+  },
+  planningHour: { type: 'integer', min: 0, max: 23 },
+  notifications: {
+    type: 'object',
+    properties: {
+      reminders: { type: 'boolean' },
+      reminderLeadMinutes: { type: 'integer', min: 5, max: 7 * 24 * 60 },
+      overdue: { type: 'boolean' },
+      dailyDigest: { type: 'boolean' }
+    }
+  }
+};
+
+// revokeAccessTokens also revokes every personal access token
+const changePassword = {
+  currentPassword: password,
+  newPassword: password,
+  revokeAccessTokens: { type: 'boolean', default: false }
+};
+
+const changeEmail = {
+  newEmail: email,
+  password
+};
+
+const confirmEmailChange = { code };
+
+const deleteAccount = { password };
+
+const createAccessToken = {
+  name: { ...name },
+  scopes: { type: 'array', required: true, items: { type: 'string', enum: TOKEN_SCOPES } },
+  expiresAt: { type: 'date', nullable: true }
+};
+
+const forgotPassword = { email };
+
+const resetPassword = {
+  email,
+  code,
+  newPassword: password
+};
+
+module.exports = {
+  sendVerificationCode,
+  verifyCode,
+  register,
+  login,
+  refresh,
+  updateProfile,
+  changePassword,
+  changeEmail,
+  confirmEmailChange,
+  deleteAccount,
+  createAccessToken,
+  forgotPassword,
+  resetPassword
+};
@@ -0,0 +1,9 @@
+const feedQuery = {
+  type: { type: 'string', enum: ['todo', 'event'], default: 'todo' },
+  category: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  tag: { type: 'string', trim: true, minLength: 1, maxLength: 50 }
+};
+
+module.exports = {
+  feedQuery
+};
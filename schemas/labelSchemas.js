@@ -0,0 +1,47 @@
+// URL segment for each kind of label
+const LABEL_KINDS = {
+  tags: 'tag',
+  categories: 'category'
+};
+
+const labelName = { type: 'string', trim: true, required: true, minLength: 1, maxLength: 100 };
+
+// Names are path segments in these routes, so new ones may not contain /.
+// Existing names with one can still be addressed URL-encoded and renamed.
+const NO_SLASH = /^[^/]*$/;
+const newLabelName = { ...labelName, pattern: NO_SLASH, patternMessage: 'Must not contain /' };
+
+const kindParams = {
+  kind: { type: 'string', enum: Object.keys(LABEL_KINDS), required: true }
+};
+
+const labelParams = {
+  ...kindParams,
+  name: labelName
+};
+
+const updateLabel = {
+  name: { ...newLabelName, required: false },
+  color: {
+    type: 'string',
+    trim: true,
+    nullable: true,
+    pattern: /^#[0-9a-fA-F]{6}$/,
+    patternMessage: 'Must be a hex color like #1e90ff'
+  },
+  icon: { type: 'string', trim: true, nullable: true, minLength: 1, maxLength: 32 }
+};
+
+const mergeLabels = {
+  from: { type: 'array', required: true, maxItems: 50, items: labelName },
+  into: newLabelName
+};
+
+module.exports = {
+  LABEL_KINDS,
+  NO_SLASH,
+  kindParams,
+  labelParams,
+  updateLabel,
+  mergeLabels
+};
@@ -0,0 +1,40 @@
+const ROLES = ['viewer', 'editor'];
+
+const listFields = {
+  name: { type: 'string', trim: true, required: true, minLength: 1, maxLength: 100 }
+};
+
+const invite = {
+  email: {
+    type: 'string',
+    trim: true,
+    lowercase: true,
+    required: true,
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: 'Must be a valid email address'
+  },
+  role: { type: 'string', enum: ROLES, default: 'editor' }
+};
+
+const acceptInvitation = {
+  code: {
+    type: 'string',
+    trim: true,
+    required: true,
+    pattern: /^\d{6}$/,
+    patternMessage: 'Must be a 6-digit code'
+  }
+};
+
+const updateMember = {
+  role: { type: 'string', enum: ROLES, required: true }
+};
+
+module.exports = {
+  createList: listFields,
+  updateList: listFields,
+  invite,
+  acceptInvitation,
+  updateMember
+};
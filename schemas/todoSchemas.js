@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const { SORTABLE_FIELDS } = require('../utils/todoQuery');
+const { FORMATS, DEDUPE_STRATEGIES } = require('../services/importExport');
+const { BULK_ACTIONS, MAX_BULK_TODOS } = require('../services/bulk');
+const { MAX_SYNC_MUTATIONS } = require('../services/sync');
+const { NO_SLASH } = require('./labelSchemas');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const recurrenceProperties = {
+  frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+  interval: { type: 'integer', min: 1 },
+  byWeekday: { type: 'array', items: { type: 'integer', min: 0, max: 6 } },
+  until: { type: 'date', nullable: true },
+  count: { type: 'integer', min: 1, nullable: true }
+};
+
+// Tag and category names; see NO_SLASH
+const labelName = (maxLength) => ({
+  type: 'string',
+  trim: true,
+  minLength: 1,
+  maxLength,
+  pattern: NO_SLASH,
+  patternMessage: 'Must not contain /'
+});
+
+// Fields a client may set on a todo
+const todoFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 500 },
+  completed: { type: 'boolean' },
+  dueDate: { type: 'date', nullable: true },
+  priority: { type: 'string', enum: PRIORITIES },
+  tags: { type: 'array', maxItems: 50, items: labelName(50) },
+  category: labelName(100),
+  notes: { type: 'string', trim: true, maxLength: 10000 },
+  estimateMinutes: { type: 'integer', min: 1, max: 1440, nullable: true },
+  parent: { type: 'objectId', nullable: true },
+  list: { type: 'objectId', nullable: true },
+  assignee: { type: 'objectId', nullable: true }
+};
+
+const createTodo = {
+  ...todoFields,
+  title: { ...todoFields.title, required: true },
+  items: {
+    type: 'array',
+    maxItems: 200,
+    items: {
+      type: 'string',
+      trim: true,
+      minLength: 1,
+      maxLength: 500,
+      // Accept { text } objects as well as plain strings
+      transform: item => (item && typeof item === 'object' ? item.text : item)
+    }
+  },
+  recurrence: {
+    type: 'object',
+    properties: {
+      ...recurrenceProperties,
+      frequency: { ...recurrenceProperties.frequency, required: true }
+    }
+  }
+};
+
+// Quick add parses text into createTodo fields; list picks where it goes
+const quickTodo = {
+  text: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 1000 },
+  preview: { type: 'boolean', default: false },
+  list: todoFields.list
+};
+
+// version, when given, must match the todo's current version
+const updateTodo = {
+  ...todoFields,
+  version: { type: 'integer', min: 0 }
+};
+
+const listTodosQuery = {
+  completed: { type: 'boolean' },
+  priority: { type: 'array', items: { type: 'string', enum: PRIORITIES } },
+  category: { type: 'array', items: { type: 'string' } },
+  tags: { type: 'array', items: { type: 'string' } },
+  tagMatch: { type: 'string', enum: ['any', 'all'] },
+  dueBefore: { type: 'date' },
+  dueAfter: { type: 'date' },
+  overdue: { type: 'boolean' },
+  q: { type: 'string', trim: true, maxLength: 200 },
+  sort: {
+    type: 'string',
+    pattern: new RegExp(`^[-+]?(${SORTABLE_FIELDS.join('|')})$`),
+    patternMessage: `Must be one of: ${SORTABLE_FIELDS.join(', ')}, optionally prefixed with -`
+  },
+  limit: { type: 'integer', min: 1, max: 100 },
+  cursor: { type: 'string' },
+  list: { type: 'objectId' },
+  assignee: {
+    type: 'string',
+    validate: value => (value === 'me' || mongoose.isValidObjectId(value)
+      ? null
+      : 'Must be "me" or a user id')
+  }
+};
+
+// Filters a bulk request may select todos with, as on GET /api/todos
+const { sort, limit, cursor, ...bulkFilter } = listTodosQuery;
+
+const bulkTodos = {
+  action: { type: 'string', enum: BULK_ACTIONS, required: true },
+  ids: { type: 'array', maxItems: MAX_BULK_TODOS, items: { type: 'objectId' } },
+  filter: { type: 'object', properties: bulkFilter },
+  dueDate: todoFields.dueDate,
+  priority: todoFields.priority,
+  category: todoFields.category,
+  tags: todoFields.tags
+};
+
+const addItem = {
+  text: { type: 'string', trim: true, minLength: 1, maxLength: 500, required: true },
+  position: { type: 'integer', min: 0 }
+};
+
+const reorderItems = {
+  order: { type: 'array', required: true, items: { type: 'objectId' } }
+};
+
+const updateItem = {
+  text: { type: 'string', trim: true, minLength: 1, maxLength: 500 },
+  done: { type: 'boolean' }
+};
+
+const updateSeries = {
+  scope: { type: 'string', enum: ['this', 'future'], required: true },
+  title: todoFields.title,
+  notes: todoFields.notes,
+  priority: todoFields.priority,
+  category: todoFields.category,
+  tags: todoFields.tags,
+  estimateMinutes: todoFields.estimateMinutes,
+  dueDate: { type: 'date' },
+  recurrence: { type: 'object', nullable: true, properties: recurrenceProperties }
+};
+
+const planTomorrow = {
+  dryRun: { type: 'boolean', default: false }
+};
+
+const planRunsQuery = {
+  limit: { type: 'integer', min: 1, max: 100, default: 30 }
+};
+
+const historyQuery = {
+  limit: { type: 'integer', min: 1, max: 100, default: 50 },
+  before: { type: 'date' },
+  actor: { type: 'string', enum: ['user', 'planner', 'system'] }
+};
+
+const revertTodo = {
+  changeId: { type: 'objectId', required: true }
+};
+
+const trashQuery = {
+  limit: { type: 'integer', min: 1, max: 100, default: 50 }
+};
+
+const changesQuery = {
+  since: { type: 'string', trim: true, minLength: 1 },
+  limit: { type: 'integer', min: 1, max: 500, default: 200 }
+};
+
+// Mutations are validated one by one so a bad one fails on its own
+const syncTodos = {
+  mutations: { type: 'array', required: true, maxItems: MAX_SYNC_MUTATIONS, items: { type: 'any' } }
+};
+
+const statsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  granularity: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' }
+};
+
+const exportQuery = {
+  format: { type: 'string', trim: true, lowercase: true, enum: FORMATS, default: 'json' }
+};
+
+const importQuery = {
+  format: { type: 'string', trim: true, lowercase: true, enum: FORMATS },
+  dedupe: { type: 'string', enum: DEDUPE_STRATEGIES, default: 'skip' }
+};
+
+module.exports = {
+  createTodo,
+  quickTodo,
+  updateTodo,
+  listTodosQuery,
+  bulkTodos,
+  addItem,
+  reorderItems,
+  updateItem,
+  updateSeries,
+  planTomorrow,
+  planRunsQuery,
+  trashQuery,
+  historyQuery,
+  revertTodo,
+  changesQuery,
+  syncTodos,
+  statsQuery,
+  exportQuery,
+  importQuery
+};
@@ -0,0 +1,48 @@
+const { WEBHOOK_EVENTS } = require('../services/webhooks');
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const url = {
+  type: 'string',
+  trim: true,
+  required: true,
+  maxLength: 2000,
+  validate: value => (isHttpUrl(value) ? null : 'Must be an http or https URL')
+};
+
+const events = {
+  type: 'array',
+  required: true,
+  maxItems: WEBHOOK_EVENTS.length,
+  items: { type: 'string', enum: WEBHOOK_EVENTS }
+};
+
+const createWebhook = {
+  url,
+  events,
+  secret: { type: 'string', minLength: 16, maxLength: 200 }
+};
+
+// Setting active back to true re-enables a webhook that was disabled
+const updateWebhook = {
+  url: { ...url, required: false },
+  events: { ...events, required: false },
+  active: { type: 'boolean' }
+};
+
+const deliveriesQuery = {
+  status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+  limit: { type: 'integer', min: 1, max: 100, default: 50 }
+};
+
+module.exports = {
+  createWebhook,
+  updateWebhook,
+  deliveriesQuery
+};
@@ -0,0 +1,149 @@
+// End-to-end check of webhook delivery against a local HTTP receiver:
+// signatures verify, failed deliveries are retried, and a webhook whose
+// deliveries keep failing is disabled. Needs a MongoDB to write to; the
+// documents it creates are removed again.
+//
+//   MONGODB_URI=mongodb://localhost:27017/todo-app-test npm run verify:webhooks
+
+const crypto = require('crypto');
+const http = require('http');
+const assert = require('assert');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// The receiver runs on localhost, which webhooks may not call by default
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, queueChange, processDueDeliveries } = require('../services/webhooks');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/todo-app';
+const FAR_FUTURE = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+// Receiver side: what a subscriber does with each request
+const verifySignature = (secret, headers, body) => {
+  const timestamp = headers['x-webhook-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const given = headers['x-webhook-signature'] || '';
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+// Local receiver answering with whatever status respond() returns
+const startReceiver = (secret) => new Promise(resolve => {
+  const receiver = { requests: [], respond: () => 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ valid: verifySignature(secret, req.headers, body), payload: JSON.parse(body) });
+      res.statusCode = receiver.respond();
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${server.address().port}/hooks`;
+    receiver.close = () => new Promise(done => server.close(done));
+    resolve(receiver);
+  });
+});
+
+const waitFor = async (check, message) => {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting: ${message}`);
+};
+
+// A recorded todo change as services/history hands it to queueChange
+const fakeChange = (userId) => ({
+  _id: new mongoose.Types.ObjectId(),
+  todo: new mongoose.Types.ObjectId(),
+  user: userId,
+  list: null,
+  action: 'created',
+  actor: { type: 'user', user: userId },
+  changes: [],
+  snapshot: { title: 'Webhook check' },
+  createdAt: new Date()
+});
+
+// Queue a change and wait for its first, immediate attempt
+const deliverChange = async (webhook) => {
+  const change = fakeChange(webhook.user);
+  await queueChange(change);
+  let delivery;
+  await waitFor(async () => {
+    delivery = await WebhookDelivery.findOne({ webhook: webhook._id, 'payload.id': String(change._id) });
+    return delivery && delivery.attempts.length > 0;
+  }, 'first delivery attempt');
+  return delivery;
+};
+
+const run = async () => {
+  const secret = generateSecret();
+  const receiver = await startReceiver(secret);
+  const webhook = await Webhook.create({
+    user: new mongoose.Types.ObjectId(),
+    url: receiver.url,
+    events: ['todo.created'],
+    secret
+  });
+
+  try {
+    // 1. A delivery arrives signed and succeeds
+    const delivered = await deliverChange(webhook);
+    assert.strictEqual(delivered.status, 'succeeded');
+    assert.ok(receiver.requests[0].valid, 'signature should verify');
+    assert.strictEqual(receiver.requests[0].payload.event, 'todo.created');
+    console.log('ok - delivery is signed and succeeds');
+
+    // 2. A delivery that fails is retried until the receiver accepts it
+    let failuresLeft = 2;
+    receiver.respond = () => (failuresLeft-- > 0 ? 500 : 200);
+    const retried = await deliverChange(webhook);
+    assert.strictEqual(retried.status, 'pending');
+    while ((await WebhookDelivery.findById(retried._id)).status === 'pending') {
+      await processDueDeliveries(FAR_FUTURE);
+    }
+    const settled = await WebhookDelivery.findById(retried._id);
+    assert.strictEqual(settled.status, 'succeeded');
+    assert.strictEqual(settled.attempts.length, 3);
+    assert.strictEqual(settled.attempts[0].error, 'HTTP 500 Internal Server Error');
+    console.log('ok - failed delivery is retried');
+
+    // 3. Deliveries that use up every attempt disable the webhook
+    receiver.respond = () => 500;
+    for (let i = 0; i < 5; i++) {
+      await deliverChange(webhook);
+      while (await WebhookDelivery.exists({ webhook: webhook._id, status: 'pending' })) {
+        await processDueDeliveries(FAR_FUTURE);
+      }
+    }
+    const disabled = await Webhook.findById(webhook._id);
+    assert.strictEqual(disabled.active, false);
+    assert.ok(disabled.disabledReason, 'disabled webhook should say why');
+    assert.ok(receiver.requests.every(request => request.valid), 'every signature should verify');
+    console.log(`ok - webhook disabled: ${disabled.disabledReason}`);
+  } finally {
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await Webhook.deleteOne({ _id: webhook._id });
+    await receiver.close();
+  }
+};
+
+mongoose.connect(MONGODB_URI)
+  .then(run)
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error(error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
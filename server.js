@@ -7,41 +7,144 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+// Tokens cannot be signed or verified safely without a real secret
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not set. Refusing to start.');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/todo-app';
 
+// Behind a proxy (Vercel, a load balancer), req.ip is the proxy's address
+// unless Express is told which hops to trust. Rate limits and session IPs
+// key on req.ip, so set TRUST_PROXY to the number of proxies in front of
+// the app, true, or a list of trusted addresses.
+const parseTrustProxy = (value) => {
+  if (!value) {
+    return false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+const Todo = require('./models/todoModel');
+
 // Import routes
 const todoRoutes = require('./routes/todoRoutes');
 const authRoutes = require('./routes/auth');
+const listRoutes = require('./routes/listRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+
+// Import error handling
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+
+// Import background services
+const { runNightlyPlanning } = require('./services/planner');
+const { runNotifications } = require('./services/notifications');
+const { purgeExpiredTrash } = require('./services/trash');
+const { runCleanup } = require('./services/cleanup');
+const { processDueDeliveries } = require('./services/webhooks');
 
 // Middleware
 app.use(cors());
+// JSON imports may be as large as the CSV and iCalendar ones (see
+// importBody in routes/todoRoutes); other bodies keep the 100kb default
+app.use('/api/todos/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Routes
 app.use('/api/todos', todoRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Errors from every router share one response envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    // Todos from before ?sort=priority used the stored rank
+    Todo.backfillPriorityRanks()
+      .then(count => count && console.log(`Set the priority rank of ${count} todos`))
+      .catch(error => console.error('Error setting todo priority ranks:', error));
+  })
   .catch(err => console.error('Could not connect to MongoDB:', err));
 
-// Setup daily task analysis cron job (runs at midnight)
-cron.schedule('0 0 * * *', async () => {
+// Setup daily task analysis cron job (every 15 minutes, each user is
+// planned once per day at their own local planning hour)
+cron.schedule('*/15 * * * *', async () => {
   console.log('Running automated task analysis and planning for tomorrow');
   try {
-    const response = await fetch(`http://localhost:${PORT}/api/todos/plan-tomorrow`, {
-      method: 'POST'
-    });
-    const result = await response.json();
-    console.log('Auto-planning result:', result);
+    const summary = await runNightlyPlanning();
+    console.log('Auto-planning result:', summary);
   } catch (error) {
     console.error('Error in auto-planning cron job:', error);
   }
 });
 
+// Setup reminder and overdue email cron job (every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const summary = await runNotifications();
+    if (summary.reminders || summary.overdue || summary.failed) {
+      console.log('Notification result:', summary);
+    }
+  } catch (error) {
+    console.error('Error in notification cron job:', error);
+  }
+});
+
+// Purge todos that have been in the trash past the retention period (daily)
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+    if (purged) {
+      console.log(`Purged ${purged} todos from the trash`);
+    }
+  } catch (error) {
+    console.error('Error in trash purge cron job:', error);
+  }
+});
+
+// Retry webhook deliveries that are due (every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    const summary = await processDueDeliveries();
+    if (summary.sent) {
+      console.log('Webhook delivery result:', summary);
+    }
+  } catch (error) {
+    console.error('Error in webhook delivery cron job:', error);
+  }
+});
+
+// Remove unfinished signups and expired one-time codes (hourly)
+cron.schedule('30 * * * *', async () => {
+  try {
+    const run = await runCleanup();
+    if (Object.values(run.toObject().counts).some(count => count > 0)) {
+      console.log('Account cleanup result:', run.counts);
+    }
+  } catch (error) {
+    console.error('Error in account cleanup cron job:', error);
+  }
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
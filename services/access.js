@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const List = require('../models/List');
+
+// Role of a user on a list: 'owner', 'editor', 'viewer' or null
+const getListRole = (list, userId) => {
+  if (!list) {
+    return null;
+  }
+  if (list.owner.equals(userId)) {
+    return 'owner';
+  }
+  const member = list.members.find(member => member.user.equals(userId));
+  return member ? member.role : null;
+};
+
+const canEdit = (role) => role === 'owner' || role === 'editor';
+
+// Ids of every list the user owns or is a member of
+const getListIds = async (userId) => {
+  const lists = await List.find({
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  }).select('_id');
+  return lists.map(list => list._id);
+};
+
+// Ids of the lists the user owns or can edit
+const getEditableListIds = async (userId) => {
+  const lists = await List.find({
+    $or: [
+      { owner: userId },
+      { members: { $elemMatch: { user: userId, role: 'editor' } } }
+    ]
+  }).select('_id');
+  return lists.map(list => list._id);
+};
+
+// Filter matching every todo the user may see: their personal todos
+// plus all todos in lists they belong to
+const accessibleTodoFilter = async (userId) => ({
+  $or: [
+    { user: userId, list: null },
+    { list: { $in: await getListIds(userId) } }
+  ]
+});
+
+// Filter matching every todo the user may change
+const editableTodoFilter = async (userId) => ({
+  $or: [
+    { user: userId, list: null },
+    { list: { $in: await getEditableListIds(userId) } }
+  ]
+});
+
+// Filter matching the todos that are the user's to schedule: their
+// personal todos plus todos assigned to them in lists they can edit
+const plannableTodoFilter = async (userId) => ({
+  $or: [
+    { user: userId, list: null },
+    { assignee: userId, list: { $in: await getEditableListIds(userId) } }
+  ]
+});
+
+// Load a list along with the user's role on it
+const findListWithRole = async (listId, userId) => {
+  if (!mongoose.isValidObjectId(listId)) {
+    return { list: null, role: null };
+  }
+
+  const list = await List.findById(listId);
+  const role = getListRole(list, userId);
+  return role ? { list, role } : { list: null, role: null };
+};
+
+// Load a todo along with the user's role on it. Personal todos are only
+// visible to their creator, who counts as owner. With deleted, only
+// todos in the trash are found.
+const findTodoWithRole = async (todoId, userId, { deleted = false } = {}) => {
+  if (!mongoose.isValidObjectId(todoId)) {
+    return { todo: null, role: null };
+  }
+
+  const todo = await Todo.findOne({
+    _id: todoId,
+    deletedAt: deleted ? { $ne: null } : null
+  });
+  if (!todo) {
+    return { todo: null, role: null };
+  }
+
+  if (!todo.list) {
+    return todo.user.equals(userId)
+      ? { todo, role: 'owner' }
+      : { todo: null, role: null };
+  }
+
+  const { role } = await findListWithRole(todo.list, userId);
+  return role ? { todo, role } : { todo: null, role: null };
+};
+
+// Check that a todo may be assigned to the given user. Personal todos can
+// only be assigned to their creator; list todos to any list member.
+const validateAssignee = async (assigneeId, listId, userId) => {
+  if (assigneeId === null) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(assigneeId)) {
+    return 'Invalid assignee id';
+  }
+
+  if (!listId) {
+    return String(assigneeId) === String(userId)
+      ? null
+      : 'Personal todos can only be assigned to yourself';
+  }
+
+  const list = await List.findById(listId);
+  return getListRole(list, assigneeId)
+    ? null
+    : 'Assignee must be a member of the list';
+};
+
+module.exports = {
+  getListRole,
+  canEdit,
+  accessibleTodoFilter,
+  editableTodoFilter,
+  plannableTodoFilter,
+  findListWithRole,
+  findTodoWithRole,
+  validateAssignee
+};
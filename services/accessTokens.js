@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+
+const TOKEN_SCOPES = ['todos:read', 'todos:write', 'plan'];
+
+// Prefix telling personal access tokens apart from session JWTs
+const TOKEN_PREFIX = 'tdp_';
+
+const MAX_TOKENS_PER_USER = 50;
+
+// lastUsedAt is only written once a minute, not on every request
+const LAST_USED_PRECISION = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// Create a token. The plain token is returned here and never again.
+const createAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const accessToken = await AccessToken.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    hint: token.slice(-4),
+    expiresAt
+  });
+
+  return { token, accessToken };
+};
+
+// Find the unexpired token a request presented and note that it was used
+const findActiveToken = async (token, now = new Date()) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || (accessToken.expiresAt && accessToken.expiresAt <= now)) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt >= LAST_USED_PRECISION) {
+    accessToken.lastUsedAt = now;
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: now });
+  }
+
+  return accessToken;
+};
+
+const listAccessTokens = (userId) => AccessToken.find({ user: userId }).sort({ createdAt: -1 });
+
+const revokeAccessToken = (userId, tokenId) => AccessToken.findOneAndDelete({ _id: tokenId, user: userId });
+
+// Revoke every token of a user, e.g. after a password reset; returns how many
+const revokeAllAccessTokens = async (userId) => {
+  const { deletedCount } = await AccessToken.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+module.exports = {
+  TOKEN_SCOPES,
+  MAX_TOKENS_PER_USER,
+  isAccessToken,
+  createAccessToken,
+  findActiveToken,
+  listAccessTokens,
+  revokeAccessToken,
+  revokeAllAccessTokens
+};
@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const Todo = require('../models/todoModel');
+const List = require('../models/List');
+const TodoChange = require('../models/TodoChange');
+const Session = require('../models/Session');
+const CalendarFeed = require('../models/CalendarFeed');
+const PlanRun = require('../models/PlanRun');
+const Label = require('../models/Label');
+const NotificationLog = require('../models/NotificationLog');
+const Tombstone = require('../models/Tombstone');
+const AccessToken = require('../models/AccessToken');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { deleteHistory } = require('./history');
+
+// Delete a user and everything that is only theirs. Lists they own are
+// dissolved the way DELETE /api/lists/:id does it, their personal todos
+// are deleted, and todos they created in other people's lists stay with
+// the list, handed to its owner. Their name is removed from the history
+// that remains.
+const deleteAccount = async (userId) => {
+  const ownedLists = await List.find({ owner: userId }).select('_id');
+  const ownedListIds = ownedLists.map(list => list._id);
+
+  // Other members keep their todos from dissolved lists as personal ones
+  await Todo.updateMany({ list: { $in: ownedListIds } }, { list: null, assignee: null }, { withDeleted: true });
+  await List.deleteMany({ _id: { $in: ownedListIds } });
+
+  await List.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+  await Todo.updateMany({ assignee: userId }, { assignee: null }, { withDeleted: true });
+
+  // distinct is not filtered by the trash, so these include trashed todos
+  const sharedListIds = await Todo.distinct('list', { user: userId, list: { $ne: null } });
+  const sharedLists = await List.find({ _id: { $in: sharedListIds } }).select('owner');
+
+  let handedOver = 0;
+  for (const list of sharedLists) {
+    const todoIds = await Todo.distinct('_id', { user: userId, list: list._id });
+    const { modifiedCount } = await Todo.updateMany(
+      { _id: { $in: todoIds } },
+      { user: list.owner },
+      { withDeleted: true }
+    );
+    await TodoChange.updateMany({ todo: { $in: todoIds } }, { user: list.owner });
+    handedOver += modifiedCount;
+  }
+
+  // Whatever is still theirs is personal
+  const personalIds = await Todo.distinct('_id', { user: userId });
+  const { deletedCount } = await Todo.deleteMany({ _id: { $in: personalIds } }, { withDeleted: true });
+  await deleteHistory(personalIds);
+
+  await TodoChange.updateMany({ 'actor.user': userId }, { 'actor.user': null });
+
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    AccessToken.deleteMany({ user: userId }),
+    Webhook.deleteMany({ user: userId }),
+    WebhookDelivery.deleteMany({ user: userId }),
+    CalendarFeed.deleteMany({ user: userId }),
+    PlanRun.deleteMany({ user: userId }),
+    Label.deleteMany({ user: userId }),
+    NotificationLog.deleteMany({ user: userId }),
+    Tombstone.deleteMany({ user: userId })
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  return { deletedTodos: deletedCount, handedOverTodos: handedOver };
+};
+
+module.exports = {
+  deleteAccount
+};
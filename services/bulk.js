@@ -0,0 +1,168 @@
+const Todo = require('../models/todoModel');
+const { accessibleTodoFilter, editableTodoFilter } = require('./access');
+const { completeIfAllDone } = require('./subtasks');
+const { spawnNextOccurrence } = require('./recurrence');
+const { trashTodos } = require('./trash');
+const { variantPattern, normalizeLabels } = require('./labels');
+const {
+  userActor,
+  snapshotsById,
+  recordChange,
+  recordChanges
+} = require('./history');
+const { buildTodoFilter } = require('../utils/todoQuery');
+const { badRequest } = require('../utils/errors');
+
+const BULK_ACTIONS = [
+  'complete',
+  'uncomplete',
+  'delete',
+  'reschedule',
+  'setPriority',
+  'setCategory',
+  'addTags',
+  'removeTags'
+];
+
+const MAX_BULK_TODOS = 500;
+
+// Update applied to every selected todo, for actions that are a single
+// updateMany. complete and uncomplete only touch todos whose state changes,
+// so completedAt is kept exactly like PUT /api/todos/:id does.
+const buildUpdate = (action, params, now) => {
+  switch (action) {
+    case 'complete':
+      return { filter: { completed: false }, update: { $set: { completed: true, completedAt: now } } };
+    case 'uncomplete':
+      return { filter: { completed: true }, update: { $set: { completed: false, completedAt: null } } };
+    case 'reschedule':
+      return { filter: {}, update: { $set: { dueDate: params.dueDate } } };
+    case 'setPriority':
+      return { filter: {}, update: { $set: { priority: params.priority } } };
+    case 'setCategory':
+      return { filter: {}, update: { $set: { category: params.category } } };
+    case 'addTags':
+      return { filter: {}, update: { $addToSet: { tags: { $each: params.tags } } } };
+    case 'removeTags':
+      return { filter: {}, update: { $pull: { tags: { $in: params.tags.map(variantPattern) } } } };
+    default:
+      return null;
+  }
+};
+
+// Resolve the todos a bulk request targets. Ids the user cannot see are
+// reported as not_found and ones they cannot change as forbidden; a filter
+// only ever matches todos the user can change.
+const resolveTargets = async (userId, { ids, filter }) => {
+  const editable = await editableTodoFilter(userId);
+
+  if (ids) {
+    const uniqueIds = [...new Set(ids)];
+    const visible = await Todo.find({
+      $and: [{ _id: { $in: uniqueIds } }, await accessibleTodoFilter(userId)]
+    });
+    const allowed = await Todo.find({
+      $and: [{ _id: { $in: uniqueIds } }, editable]
+    }).select('_id');
+
+    const visibleIds = new Set(visible.map(todo => String(todo._id)));
+    const allowedIds = new Set(allowed.map(todo => String(todo._id)));
+
+    return {
+      todos: visible.filter(todo => allowedIds.has(String(todo._id))),
+      rejected: uniqueIds
+        .filter(id => !allowedIds.has(id))
+        .map(id => ({ id, status: visibleIds.has(id) ? 'forbidden' : 'not_found' }))
+    };
+  }
+
+  const query = buildTodoFilter(filter, editable);
+  if (filter.list !== undefined) {
+    query.list = filter.list;
+  }
+  if (filter.assignee !== undefined) {
+    query.assignee = filter.assignee === 'me' ? userId : filter.assignee;
+  }
+
+  const todos = await Todo.find(query).limit(MAX_BULK_TODOS + 1);
+  if (todos.length > MAX_BULK_TODOS) {
+    throw badRequest(`The filter matches more than ${MAX_BULK_TODOS} todos. Narrow it down.`, 'validation_failed');
+  }
+
+  return { todos, rejected: [] };
+};
+
+// Apply one action to many todos. Every change is made with a single
+// updateMany over the allowed todos; follow-up work that the single-item
+// routes do (next occurrences, parent completion, trashing subtasks)
+// runs afterwards.
+const runBulkAction = async (userId, { action, ids, filter, ...params }, { now = new Date() } = {}) => {
+  const { todos, rejected } = await resolveTargets(userId, { ids, filter });
+  const todoIds = todos.map(todo => todo._id);
+  const befores = snapshotsById(todos);
+  const actor = userActor(userId, 'bulk');
+  const results = [];
+
+  if (action === 'setCategory' || action === 'addTags') {
+    Object.assign(params, await normalizeLabels(userId, params));
+  }
+
+  if (action === 'delete') {
+    await trashTodos(todos, now);
+    for (const todo of todos) {
+      await recordChange(todo, { before: befores.get(String(todo._id)), actor, action: 'deleted' });
+    }
+
+    todos.forEach(todo => results.push({ id: String(todo._id), status: 'deleted' }));
+  } else {
+    const { filter: stateFilter, update } = buildUpdate(action, params, now);
+    await Todo.updateMany({ _id: { $in: todoIds }, ...stateFilter }, update);
+
+    // Todos already in the requested state are left untouched
+    const changed = todos.filter(todo => Object.entries(stateFilter)
+      .every(([field, value]) => todo[field] === value));
+    const changedIds = new Set(changed.map(todo => String(todo._id)));
+
+    const updated = await Todo.find({ _id: { $in: [...changedIds] } });
+    await recordChanges(updated, befores, { actor });
+
+    todos.forEach(todo => results.push({
+      id: String(todo._id),
+      status: changedIds.has(String(todo._id)) ? 'updated' : 'unchanged'
+    }));
+
+    if (action === 'complete') {
+      // Completing an occurrence of a recurring todo creates the next one
+      for (const todo of updated.filter(todo => todo.recurrence)) {
+        const result = results.find(entry => entry.id === String(todo._id));
+        const next = await spawnNextOccurrence(todo);
+        if (next) {
+          result.nextOccurrence = next._id;
+        }
+      }
+
+      // Completing the last open subtasks completes their parents
+      const parentIds = [...new Set(updated
+        .filter(todo => todo.parent)
+        .map(todo => String(todo.parent)))];
+      for (const parentId of parentIds) {
+        await completeIfAllDone(await Todo.findById(parentId));
+      }
+    }
+  }
+
+  results.push(...rejected);
+
+  const summary = { action, matched: todos.length, failed: rejected.length };
+  ['updated', 'unchanged', 'deleted'].forEach(status => {
+    summary[status] = results.filter(result => result.status === status).length;
+  });
+
+  return { ...summary, results };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_TODOS,
+  runBulkAction
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/CalendarFeed');
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const { accessibleTodoFilter } = require('./access');
+const { findLabel } = require('./labels');
+const { toVtodo } = require('./importExport');
+const {
+  escapeText,
+  formatDateTime,
+  buildCalendar
+} = require('../utils/ical');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const DEFAULT_EVENT_MINUTES = 30;
+const ACCESS_WRITE_MS = 60 * 60 * 1000;  // lastAccessedAt is kept to the hour
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create the user's feed, or replace its token so the old URL stops working
+const rotateFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const feed = await CalendarFeed.findOneAndUpdate(
+    { user: userId },
+    { tokenHash: hashToken(token), versions: {}, createdAt: new Date(), lastAccessedAt: null },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { token, feed };
+};
+
+const revokeFeed = async (userId) => {
+  const { deletedCount } = await CalendarFeed.deleteOne({ user: userId });
+  return deletedCount > 0;
+};
+
+const findFeedByToken = (token) => CalendarFeed.findOne({ tokenHash: hashToken(token) });
+
+// Date-only value (YYYYMMDD) of a local calendar day
+const formatDateValue = ({ year, month, day }) =>
+  `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+
+// A todo as a VEVENT on its due date. A due date at local midnight is an
+// all-day event; otherwise the event lasts the todo's estimate.
+const toVevent = (todo, timezone) => {
+  const parts = getZonedParts(todo.dueDate, timezone);
+  const allDay = parts.hour === 0 && parts.minute === 0 && parts.second === 0;
+
+  let start;
+  let end;
+  if (allDay) {
+    const nextDay = getZonedParts(
+      zonedTimeToUtc({ year: parts.year, month: parts.month, day: parts.day + 1 }, timezone),
+      timezone
+    );
+    start = ['DTSTART;VALUE=DATE', formatDateValue(parts)];
+    end = ['DTEND;VALUE=DATE', formatDateValue(nextDay)];
+  } else {
+    const minutes = todo.estimateMinutes || DEFAULT_EVENT_MINUTES;
+    start = ['DTSTART', formatDateTime(todo.dueDate)];
+    end = ['DTEND', formatDateTime(new Date(todo.dueDate.getTime() + minutes * 60 * 1000))];
+  }
+
+  return {
+    type: 'VEVENT',
+    properties: [
+      ['UID', `${todo._id}-due@todo-app`],
+      ['DTSTAMP', formatDateTime(todo.createdAt)],
+      ['SUMMARY', escapeText(todo.title)],
+      ['DESCRIPTION', todo.notes && escapeText(todo.notes)],
+      start,
+      end,
+      ['CATEGORIES', todo.tags && todo.tags.length > 0 && todo.tags.map(escapeText).join(',')],
+      ['TRANSP', 'TRANSPARENT']
+    ]
+  };
+};
+
+// Resolve feed filters to the user's labels. Filters naming no label are
+// still served, but are not known and get no stored version.
+const resolveFilters = async (userId, { category, tag }) => {
+  const [categoryLabel, tagLabel] = await Promise.all([
+    category ? findLabel(userId, 'category', category) : null,
+    tag ? findLabel(userId, 'tag', tag) : null
+  ]);
+
+  return {
+    known: Boolean((!category || categoryLabel) && (!tag || tagLabel)),
+    category: categoryLabel ? categoryLabel.name : category,
+    tag: tagLabel ? tagLabel.name : tag
+  };
+};
+
+// Render a feed's pending todos with due dates. The ETag is a hash of the
+// body; Last-Modified moves only when that body changes, and is null for
+// filters that are not known (see resolveFilters). The feed is saved only
+// when a version changes or lastAccessedAt is due for an update, not on
+// every poll.
+const renderFeed = async (feed, { type = 'todo', ...filters } = {}) => {
+  const user = await User.findById(feed.user).select('timezone');
+  const timezone = user ? user.timezone : 'UTC';
+  const { known, category, tag } = await resolveFilters(feed.user, filters);
+
+  const filter = {
+    ...await accessibleTodoFilter(feed.user),
+    completed: false,
+    dueDate: { $ne: null }
+  };
+  if (category) filter.category = category;
+  if (tag) filter.tags = tag;
+
+  const todos = await Todo.find(filter).sort({ dueDate: 1, _id: 1 });
+
+  // DTSTAMP comes from the todo rather than the clock so unchanged
+  // feeds render byte for byte the same
+  const components = todos.map(todo => (type === 'event'
+    ? toVevent(todo, timezone)
+    : toVtodo(todo, todo.createdAt)));
+  const body = buildCalendar(components, { name: 'Todos' });
+
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const now = new Date();
+  let changed = false;
+  let lastModified = null;
+
+  if (known) {
+    const variant = hashToken(JSON.stringify([type, category || null, tag || null])).slice(0, 16);
+    const version = feed.versions.get(variant);
+    if (!version || version.etag !== etag) {
+      // HTTP dates have whole-second precision
+      feed.versions.set(variant, { etag, lastModified: new Date(Math.floor(now / 1000) * 1000) });
+      changed = true;
+    }
+    lastModified = feed.versions.get(variant).lastModified;
+  }
+
+  if (changed || !feed.lastAccessedAt || now - feed.lastAccessedAt >= ACCESS_WRITE_MS) {
+    feed.lastAccessedAt = now;
+    await feed.save();
+  }
+
+  return { body, etag, lastModified };
+};
+
+module.exports = {
+  rotateFeedToken,
+  revokeFeed,
+  findFeedByToken,
+  renderFeed
+};
@@ -0,0 +1,69 @@
+const User = require('../models/User');
+const PendingSignup = require('../models/PendingSignup');
+const CleanupRun = require('../models/CleanupRun');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a signup has to go from requesting a code to registering
+const getGraceHours = () => {
+  const hours = parseInt(process.env.SIGNUP_GRACE_HOURS, 10);
+  return Number.isInteger(hours) && hours > 0 ? hours : 24;
+};
+
+const signupExpiry = (now = new Date()) => new Date(now.getTime() + getGraceHours() * HOUR_MS);
+
+// Apply reset to every user whose code in the given field has expired
+const clearExpiredCodes = async (now, code, expires, reset) => {
+  const { modifiedCount } = await User.updateMany(
+    { [code]: { $ne: null }, [expires]: { $lte: now } },
+    reset
+  );
+  return modifiedCount;
+};
+
+// Scheduled job: remove signups that were never finished and clear
+// expired verification, reset and email change codes. Every run is
+// recorded with its counts.
+const runCleanup = async ({ now = new Date(), trigger = 'schedule' } = {}) => {
+  const startedAt = new Date();
+  const counts = {};
+
+  try {
+    const pending = await PendingSignup.deleteMany({ expiresAt: { $lte: now } });
+    counts.pendingSignups = pending.deletedCount;
+
+    // Passwordless users were created by signups before PendingSignup existed
+    const unfinished = await User.deleteMany({
+      password: null,
+      createdAt: { $lte: new Date(now.getTime() - getGraceHours() * HOUR_MS) }
+    });
+    counts.unfinishedUsers = unfinished.deletedCount;
+
+    counts.verificationCodes = await clearExpiredCodes(now, 'verificationCode', 'codeExpires', {
+      verificationCode: null,
+      codeExpires: null,
+      verificationAttempts: 0
+    });
+    counts.resetCodes = await clearExpiredCodes(now, 'resetCode', 'resetCodeExpires', {
+      resetCode: null,
+      resetCodeExpires: null,
+      resetAttempts: 0
+    });
+    counts.emailChangeCodes = await clearExpiredCodes(now, 'emailChangeCode', 'emailChangeExpires', {
+      pendingEmail: null,
+      emailChangeCode: null,
+      emailChangeExpires: null,
+      emailChangeAttempts: 0
+    });
+  } catch (error) {
+    await CleanupRun.create({ status: 'failed', trigger, counts, error: error.message, startedAt });
+    throw error;
+  }
+
+  return CleanupRun.create({ status: 'completed', trigger, counts, startedAt });
+};
+
+module.exports = {
+  signupExpiry,
+  runCleanup
+};
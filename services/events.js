@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const TodoChange = require('../models/TodoChange');
+const { accessibleTodoFilter } = require('./access');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_REPLAY_EVENTS = 500;
+
+// Every recorded todo change, as it happens in this process. Streams opened
+// on another server instance catch up through the replay on reconnect.
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+const publishChange = (change) => {
+  changes.emit('change', change);
+};
+
+const EVENT_TYPES = {
+  created: 'todo.created',
+  deleted: 'todo.deleted'
+};
+
+// A history entry as a client-facing event. The change id is the event id,
+// so a client can resume from the last one it saw.
+const toEvent = (change) => ({
+  id: String(change._id),
+  type: EVENT_TYPES[change.action] || 'todo.updated',
+  data: {
+    todoId: change.todo,
+    action: change.action,
+    actor: change.actor,
+    changes: change.changes,
+    todo: change.snapshot ? { _id: change.todo, ...change.snapshot } : null,
+    at: change.createdAt
+  }
+});
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Whether a user may see the todo a change belongs to
+const canSee = async (change, userId) => {
+  if (!change.list) {
+    return String(change.user) === String(userId);
+  }
+  return Boolean(await List.exists({
+    _id: change.list,
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  }));
+};
+
+// Serve a user's todo changes as Server-Sent Events. Changes after
+// lastEventId are replayed first; if there are too many to replay the
+// client gets a "reset" event and should refetch its todos. The stream
+// ends when the access token expires, if it does, so the client
+// reconnects with a fresh one.
+const openStream = async (req, res, { userId, lastEventId, expiresAt }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let replaying = true;
+  let lastSentId = null;
+  const queued = [];
+
+  // Hand changes to the client one at a time, in order
+  let sending = Promise.resolve();
+  const send = (change) => {
+    sending = sending.then(async () => {
+      if (lastSentId && String(change._id) <= lastSentId) {
+        return;
+      }
+      if (await canSee(change, userId)) {
+        writeEvent(res, toEvent(change));
+        lastSentId = String(change._id);
+      }
+    }).catch(error => console.error('Could not send todo event:', error));
+  };
+
+  // Listen before replaying so nothing is missed in between
+  const onChange = (change) => (replaying ? queued.push(change) : send(change));
+  changes.on('change', onChange);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  const expiry = expiresAt
+    ? setTimeout(() => res.end(), Math.max(0, expiresAt - Date.now()))
+    : null;
+
+  const close = () => {
+    changes.off('change', onChange);
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  };
+  res.on('close', close);
+
+  if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+    const missed = await TodoChange.find({
+      ...await accessibleTodoFilter(userId),
+      _id: { $gt: lastEventId }
+    })
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAY_EVENTS + 1);
+
+    if (missed.length > MAX_REPLAY_EVENTS) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Too many changes to replay' })}\n\n`);
+    } else {
+      missed.forEach(change => {
+        writeEvent(res, toEvent(change));
+        lastSentId = String(change._id);
+      });
+    }
+  }
+
+  replaying = false;
+  queued.forEach(send);
+};
+
+module.exports = {
+  publishChange,
+  openStream
+};
@@ -0,0 +1,131 @@
+const TodoChange = require('../models/TodoChange');
+const { publishChange } = require('./events');
+const { queueChange } = require('./webhooks');
+
+// Fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'title',
+  'completed',
+  'completedAt',
+  'dueDate',
+  'priority',
+  'tags',
+  'category',
+  'notes',
+  'estimateMinutes',
+  'items',
+  'recurrence',
+  'list',
+  'assignee',
+  'parent'
+];
+
+// Fields a revert restores. Moving between lists, reassigning and
+// re-parenting need permission checks, so those stay as they are.
+const REVERTABLE_FIELDS = TRACKED_FIELDS.filter(
+  field => !['list', 'assignee', 'parent'].includes(field)
+);
+
+// The planner acts on its own at night, or for the user who asked for a plan
+const plannerActor = (userId = null) => ({ kind: 'planner', user: userId });
+const userActor = (userId, source = null) => ({ kind: 'user', user: userId, source });
+const systemActor = (source) => ({ kind: 'system', source });
+
+// Plain copy of a todo's tracked fields
+const snapshot = (todo) => {
+  const data = typeof todo.toObject === 'function' ? todo.toObject() : todo;
+  const result = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    const value = data[field];
+    result[field] = value === undefined ? null : value;
+  });
+  result.items = (data.items || []).map(({ text, done }) => ({ text, done }));
+
+  return result;
+};
+
+// Comparable form of a value: dates, ids and nested objects as JSON
+const normalize = (value) => JSON.stringify(value === undefined ? null : value);
+
+const diff = (before, after) => TRACKED_FIELDS
+  .filter(field => normalize(before[field]) !== normalize(after[field]))
+  .map(field => ({ field, before: before[field], after: after[field] }));
+
+// The action a set of field changes amounts to
+const actionFor = (changes) => {
+  const completed = changes.find(change => change.field === 'completed');
+  if (completed) {
+    return completed.after ? 'completed' : 'reopened';
+  }
+  return 'updated';
+};
+
+// Record a change to a todo. before is the snapshot taken before the
+// change (null for a new todo). Updates that change nothing are not
+// recorded. Never fails the request that made the change. Recorded
+// changes are pushed to connected clients (see services/events) and
+// subscribed webhooks (see services/webhooks).
+const recordChange = async (todo, { before = null, actor, action } = {}) => {
+  try {
+    const after = snapshot(todo);
+    const changes = before ? diff(before, after) : [];
+    const resolvedAction = action || (before ? actionFor(changes) : 'created');
+
+    if (['updated', 'completed', 'reopened', 'planned', 'reverted'].includes(resolvedAction) &&
+        changes.length === 0) {
+      return null;
+    }
+
+    const change = await TodoChange.create({
+      todo: todo._id,
+      user: todo.user,
+      list: todo.list || null,
+      actor,
+      action: resolvedAction,
+      changes,
+      snapshot: after
+    });
+
+    // Connected clients hear about every recorded change
+    publishChange(change);
+    queueChange(change).catch(error => console.error(`Could not queue webhooks for todo ${todo._id}:`, error));
+    return change;
+  } catch (error) {
+    console.error(`Could not record history for todo ${todo._id}:`, error);
+    return null;
+  }
+};
+
+// Record changes to many todos; befores maps todo ids to snapshots
+const recordChanges = async (todos, befores, options) => {
+  for (const todo of todos) {
+    await recordChange(todo, { ...options, before: befores.get(String(todo._id)) || null });
+  }
+};
+
+const snapshotsById = (todos) =>
+  new Map(todos.map(todo => [String(todo._id), snapshot(todo)]));
+
+// Set a todo's revertable fields back to a recorded snapshot
+const applySnapshot = (todo, state) => {
+  REVERTABLE_FIELDS.forEach(field => {
+    if (state[field] !== undefined) {
+      todo[field] = state[field];
+    }
+  });
+};
+
+const deleteHistory = (todoIds) => TodoChange.deleteMany({ todo: { $in: todoIds } });
+
+module.exports = {
+  plannerActor,
+  userActor,
+  systemActor,
+  snapshot,
+  snapshotsById,
+  recordChange,
+  recordChanges,
+  applySnapshot,
+  deleteHistory
+};
@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const { validateObject } = require('../utils/validation');
+const { toCsv, parseCsv } = require('../utils/csv');
+const {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue
+} = require('../utils/ical');
+const { userActor, snapshot, recordChange } = require('./history');
+const { normalizeLabels } = require('./labels');
+const { badRequest } = require('../utils/errors');
+
+const FORMATS = ['json', 'csv', 'ics'];
+const DEDUPE_STRATEGIES = ['skip', 'update', 'none'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns written to CSV, in order
+const CSV_COLUMNS = [
+  'id', 'title', 'completed', 'completedAt', 'dueDate', 'priority',
+  'category', 'tags', 'notes', 'estimateMinutes', 'createdAt'
+];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+// iCalendar PRIORITY: 1-4 high, 5 medium, 6-9 low (0 means undefined)
+const ICAL_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const UID_DOMAIN = 'todo-app';
+
+// Fields accepted for each imported row
+const importRow = {
+  id: { type: 'string' },
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 500, required: true },
+  completed: { type: 'boolean' },
+  completedAt: { type: 'date', nullable: true },
+  dueDate: { type: 'date', nullable: true },
+  priority: { type: 'string', trim: true, lowercase: true, enum: ['low', 'medium', 'high'] },
+  category: { type: 'string', trim: true, minLength: 1, maxLength: 100 },
+  tags: { type: 'array', maxItems: 50, items: { type: 'string', trim: true, minLength: 1, maxLength: 50 } },
+  notes: { type: 'string', trim: true, maxLength: 10000 },
+  estimateMinutes: { type: 'integer', min: 1, max: 1440, nullable: true },
+  createdAt: { type: 'date' }
+};
+
+const toRecord = (todo) => ({
+  id: String(todo._id),
+  title: todo.title,
+  completed: todo.completed,
+  completedAt: todo.completedAt ? todo.completedAt.toISOString() : null,
+  dueDate: todo.dueDate ? todo.dueDate.toISOString() : null,
+  priority: todo.priority,
+  category: todo.category,
+  tags: todo.tags,
+  notes: todo.notes || '',
+  estimateMinutes: todo.estimateMinutes || null,
+  createdAt: todo.createdAt ? todo.createdAt.toISOString() : null
+});
+
+// A todo as a VTODO component
+const toVtodo = (todo, now = new Date()) => ({
+  type: 'VTODO',
+  properties: [
+    ['UID', `${todo._id}@${UID_DOMAIN}`],
+    ['DTSTAMP', formatDateTime(now)],
+    ['CREATED', todo.createdAt && formatDateTime(todo.createdAt)],
+    ['SUMMARY', escapeText(todo.title)],
+    ['DESCRIPTION', todo.notes && escapeText(todo.notes)],
+    ['DUE', todo.dueDate && formatDateTime(todo.dueDate)],
+    ['PRIORITY', ICAL_PRIORITIES[todo.priority]],
+    ['STATUS', todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'],
+    ['COMPLETED', todo.completed && todo.completedAt && formatDateTime(todo.completedAt)],
+    ['CATEGORIES', todo.tags && todo.tags.length > 0 && todo.tags.map(escapeText).join(',')],
+    ['X-TODO-CATEGORY', todo.category && escapeText(todo.category)],
+    ['X-TODO-ESTIMATE-MINUTES', todo.estimateMinutes]
+  ]
+});
+
+// Serialize all of a user's todos in the requested format
+const exportTodos = async (userId, format, { now = new Date() } = {}) => {
+  const todos = await Todo.find({ user: userId }).sort({ createdAt: 1, _id: 1 });
+  const date = now.toISOString().slice(0, 10);
+
+  let body;
+  if (format === 'csv') {
+    body = toCsv(todos.map(todo => {
+      const record = toRecord(todo);
+      return { ...record, tags: record.tags.join(',') };
+    }), CSV_COLUMNS);
+  } else if (format === 'ics') {
+    body = buildCalendar(todos.map(todo => toVtodo(todo, now)), { name: 'Todos' });
+  } else {
+    body = JSON.stringify({ exportedAt: now.toISOString(), todos: todos.map(toRecord) }, null, 2);
+  }
+
+  return {
+    contentType: CONTENT_TYPES[format],
+    filename: `todos-${date}.${format}`,
+    body
+  };
+};
+
+// Map a parsed VTODO onto the same fields a JSON or CSV row has
+const vtodoToRecord = ({ properties }, timezone) => {
+  const text = (name) => properties[name] && unescapeText(properties[name][0].value);
+  const date = (name) => properties[name] ? parseDateValue(properties[name][0], timezone) : undefined;
+  const record = {};
+
+  const uid = text('UID');
+  if (uid && uid.endsWith(`@${UID_DOMAIN}`)) {
+    record.id = uid.slice(0, -UID_DOMAIN.length - 1);
+  }
+
+  record.title = text('SUMMARY');
+  if (properties.DESCRIPTION) record.notes = text('DESCRIPTION');
+
+  const dueDate = date('DUE') || date('DTSTART');
+  if (dueDate !== undefined) record.dueDate = dueDate;
+
+  const completedAt = date('COMPLETED');
+  const status = (text('STATUS') || '').toUpperCase();
+  record.completed = status === 'COMPLETED' || Boolean(completedAt);
+  if (completedAt) record.completedAt = completedAt;
+
+  const createdAt = date('CREATED');
+  if (createdAt) record.createdAt = createdAt;
+
+  const priority = Number(text('PRIORITY'));
+  if (priority >= 1 && priority <= 4) record.priority = 'high';
+  else if (priority === 5) record.priority = 'medium';
+  else if (priority >= 6 && priority <= 9) record.priority = 'low';
+
+  if (properties.CATEGORIES) {
+    // Escaped commas belong to a tag, bare commas separate tags
+    record.tags = properties.CATEGORIES
+      .flatMap(({ value }) => value.split(/(?<!\\),/))
+      .map(tag => unescapeText(tag).trim())
+      .filter(Boolean);
+  }
+
+  if (properties['X-TODO-CATEGORY']) record.category = text('X-TODO-CATEGORY');
+  if (properties['X-TODO-ESTIMATE-MINUTES']) record.estimateMinutes = text('X-TODO-ESTIMATE-MINUTES');
+
+  return record;
+};
+
+// Turn an uploaded payload into plain records, one per todo, and the row
+// number each is reported under: the line a CSV record starts on, or the
+// position of a JSON or iCalendar entry
+const parsePayload = (format, payload, { timezone }) => {
+  const numbered = (records) => ({ records, rows: records.map((record, index) => index + 1) });
+
+  try {
+    if (format === 'csv') {
+      const { records, lines } = parseCsv(String(payload));
+      return { records, rows: lines };
+    }
+    if (format === 'ics') {
+      return numbered(parseCalendar(String(payload)).map(component => vtodoToRecord(component, timezone)));
+    }
+
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const records = Array.isArray(data) ? data : data && data.todos;
+    if (!Array.isArray(records)) {
+      throw new Error('Expected an array of todos or an object with a todos array');
+    }
+    return numbered(records);
+  } catch (error) {
+    throw badRequest(`Could not read ${format.toUpperCase()} data: ${error.message}`, 'invalid_import');
+  }
+};
+
+// Columns from other tools are ignored rather than failing every row
+const pickKnownFields = (record, ignored) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return record;
+  }
+
+  const known = {};
+  Object.keys(record).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(importRow, key)) {
+      known[key] = record[key];
+    } else {
+      ignored.add(key);
+    }
+  });
+  return known;
+};
+
+const dedupeKey = (title, dueDate) =>
+  `${title.trim().toLowerCase()}|${dueDate ? new Date(dueDate).getTime() : ''}`;
+
+// Import todos for a user. Each record is validated on its own; failures
+// are reported per row and do not stop the rest. Dedupe strategies:
+//   skip   - leave a matching todo alone (default)
+//   update - overwrite the matching todo with the imported fields
+//   none   - always create a new todo
+// A record matches the user's todo with the same id, or else one with the
+// same title and due date.
+const importTodos = async (userId, format, payload, { dedupe = 'skip', timezone = 'UTC', now = new Date() } = {}) => {
+  const { records, rows } = parsePayload(format, payload, { timezone });
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`At most ${MAX_IMPORT_ROWS} todos can be imported at once`, 'invalid_import');
+  }
+
+  const byId = new Map();
+  const byKey = new Map();
+  const remember = (todo) => {
+    byId.set(String(todo._id), todo);
+    byKey.set(dedupeKey(todo.title, todo.dueDate), todo);
+  };
+
+  if (dedupe !== 'none') {
+    const existing = await Todo.find({ user: userId });
+    existing.forEach(remember);
+  }
+
+  const ignored = new Set();
+  const actor = userActor(userId, 'import');
+  const summary = { format, dedupe, total: records.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const results = [];
+
+  for (const [index, record] of records.entries()) {
+    const row = rows[index];
+    const errors = [];
+    const fields = validateObject(pickKnownFields(record, ignored), importRow, errors);
+
+    if (errors.length > 0) {
+      summary.failed++;
+      results.push({ row, status: 'failed', errors });
+      continue;
+    }
+
+    const { id, ...rest } = fields;
+    const values = { ...rest, ...await normalizeLabels(userId, rest) };
+
+    const match = dedupe === 'none'
+      ? null
+      : (id && mongoose.isValidObjectId(id) && byId.get(id)) ||
+        byKey.get(dedupeKey(values.title, values.dueDate));
+
+    // Completion time is kept in step with the completed flag, like PUT does
+    if (values.completed) {
+      values.completedAt = values.completedAt || (match && match.completedAt) || now;
+    } else if (values.completed === false) {
+      values.completedAt = null;
+    }
+
+    try {
+      if (match && dedupe === 'skip') {
+        summary.skipped++;
+        results.push({ row, status: 'skipped', id: match._id });
+        continue;
+      }
+
+      if (match) {
+        delete values.createdAt;
+        const before = snapshot(match);
+        match.set(values);
+        await match.save();
+        await recordChange(match, { before, actor });
+        remember(match);
+        summary.updated++;
+        results.push({ row, status: 'updated', id: match._id });
+        continue;
+      }
+
+      const todo = await Todo.create({ ...values, user: userId });
+      await recordChange(todo, { actor });
+      remember(todo);
+      summary.created++;
+      results.push({ row, status: 'created', id: todo._id });
+    } catch (error) {
+      summary.failed++;
+      results.push({
+        row,
+        status: 'failed',
+        errors: [{ field: null, code: 'save_failed', message: error.message }]
+      });
+    }
+  }
+
+  return { ...summary, ignoredFields: [...ignored], results };
+};
+
+module.exports = {
+  FORMATS,
+  DEDUPE_STRATEGIES,
+  toVtodo,
+  exportTodos,
+  importTodos
+};
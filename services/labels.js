@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Todo = require('../models/todoModel');
+const { userActor, snapshotsById, recordChanges } = require('./history');
+const { badRequest, notFound } = require('../utils/errors');
+
+// Todo fields each kind of label lives in, including the template later
+// occurrences of a recurring todo are created from
+const KINDS = {
+  tag: { field: 'tags', templateField: 'seriesTemplate.tags', multiple: true, maxLength: 50 },
+  category: { field: 'category', templateField: 'seriesTemplate.category', multiple: false, maxLength: 100 }
+};
+
+const DEFAULT_CATEGORY = 'general';
+
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+// Names that differ only in case or spacing share a key
+const labelKey = (name) => normalizeName(name).toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches every stored spelling of a name, including ones saved before
+// names were normalized
+const variantPattern = (name) =>
+  new RegExp(`^\\s*${labelKey(name).split(' ').map(escapeRegex).join('\\s+')}\\s*$`, 'i');
+
+// Find or create a label. Requests creating the same label at once race
+// on the unique index; the one that loses updates the winner's label.
+const upsertLabel = async (filter, update) => {
+  try {
+    return await Label.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code === 11000) {
+      return Label.findOneAndUpdate(filter, update, { new: true });
+    }
+    throw error;
+  }
+};
+
+// Canonical spelling of a name for the user. The first spelling used
+// becomes the label's name, so "Work" and "work " end up the same.
+const canonicalName = async (userId, kind, name) => {
+  const label = await upsertLabel(
+    { user: userId, kind, key: labelKey(name) },
+    { $setOnInsert: { name: normalizeName(name) } }
+  );
+  return label.name;
+};
+
+// The user's label for a name in any spelling, or null
+const findLabel = (userId, kind, name) => Label.findOne({ user: userId, kind, key: labelKey(name) });
+
+// Normalize the tags and category in a set of todo fields. Only fields
+// that are present are touched.
+const normalizeLabels = async (userId, fields) => {
+  const normalized = {};
+
+  if (fields.category !== undefined && fields.category !== null) {
+    normalized.category = await canonicalName(userId, 'category', fields.category);
+  }
+
+  if (Array.isArray(fields.tags)) {
+    const tags = [];
+    for (const tag of fields.tags) {
+      tags.push(await canonicalName(userId, 'tag', tag));
+    }
+    normalized.tags = [...new Set(tags)];
+  }
+
+  return normalized;
+};
+
+const labelView = (label) => ({
+  name: label.name,
+  color: label.color || null,
+  icon: label.icon || null
+});
+
+const usageView = (label, usage = {}) => ({
+  ...labelView(label),
+  count: usage.count || 0,
+  openCount: usage.openCount || 0,
+  // Other spellings still on todos; renaming onto the name merges them
+  variants: usage.variants ? [...usage.variants].filter(variant => variant !== label.name) : []
+});
+
+// A user's tags or categories with how many of their todos use each
+const listLabels = async (userId, kind) => {
+  const { field, multiple } = KINDS[kind];
+  const pipeline = [{ $match: { user: new mongoose.Types.ObjectId(userId) } }];
+  if (multiple) {
+    pipeline.push({ $unwind: `$${field}` });
+  }
+  pipeline.push({
+    $group: {
+      _id: multiple ? `$${field}` : { $ifNull: [`$${field}`, DEFAULT_CATEGORY] },
+      count: { $sum: 1 },
+      openCount: { $sum: { $cond: ['$completed', 0, 1] } }
+    }
+  });
+
+  const [groups, labels] = await Promise.all([
+    Todo.aggregate(pipeline),
+    Label.find({ user: userId, kind })
+  ]);
+
+  // Spellings that differ only in case or spacing are counted together
+  const usage = new Map();
+  groups.forEach(({ _id: name, count, openCount }) => {
+    const key = labelKey(name);
+    const entry = usage.get(key) || { count: 0, openCount: 0, variants: new Set(), top: null };
+    entry.count += count;
+    entry.openCount += openCount;
+    entry.variants.add(name);
+    if (!entry.top || count > entry.top.count) {
+      entry.top = { name: normalizeName(name), count };
+    }
+    usage.set(key, entry);
+  });
+
+  const views = labels.map(label => {
+    const view = usageView(label, usage.get(label.key));
+    usage.delete(label.key);
+    return view;
+  });
+
+  // Names only found on todos written before labels existed
+  usage.forEach(entry => views.push(usageView({ name: entry.top.name }, entry)));
+
+  return views.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Set how a label is shown, creating it if the name is not in use yet
+const styleLabel = async (userId, kind, name, { color, icon }) => {
+  const style = {};
+  if (color !== undefined) style.color = color;
+  if (icon !== undefined) style.icon = icon;
+
+  const label = await upsertLabel(
+    { user: userId, kind, key: labelKey(name) },
+    { $set: style, $setOnInsert: { name: normalizeName(name) } }
+  );
+  return labelView(label);
+};
+
+// Rename one or more labels to target across all the user's todos in one
+// go. Renaming onto an existing name merges them; the target keeps its
+// own color and icon, or inherits the first source's.
+const mergeLabels = async (userId, kind, sources, target) => {
+  const { field, templateField, multiple, maxLength } = KINDS[kind];
+  const name = normalizeName(target);
+
+  if (!name || name.length > maxLength) {
+    throw badRequest(`The new name must be 1 to ${maxLength} characters`, 'validation_failed');
+  }
+  // New todos fall back to the default category, so it has to keep its name
+  if (kind === 'category' && labelKey(name) !== DEFAULT_CATEGORY &&
+      sources.some(source => labelKey(source) === DEFAULT_CATEGORY)) {
+    throw badRequest(`The ${DEFAULT_CATEGORY} category cannot be renamed`);
+  }
+
+  const patterns = sources.map(variantPattern);
+  const sourceKeys = [...new Set(sources.map(labelKey))];
+
+  const [todos, sourceLabels] = await Promise.all([
+    Todo.find({
+      user: userId,
+      $or: [{ [field]: { $in: patterns } }, { [templateField]: { $in: patterns } }]
+    }),
+    Label.find({ user: userId, kind, key: { $in: sourceKeys } })
+  ]);
+
+  if (todos.length === 0 && sourceLabels.length === 0) {
+    throw notFound(`${kind === 'tag' ? 'Tag' : 'Category'} not found`);
+  }
+
+  const befores = snapshotsById(todos);
+  const matches = (value) => patterns.some(pattern => pattern.test(value));
+
+  for (const path of [field, templateField]) {
+    const ids = todos
+      .filter(todo => {
+        const value = todo.get(path);
+        return multiple ? (value || []).some(matches) : value && matches(value);
+      })
+      .map(todo => todo._id);
+
+    if (ids.length === 0) {
+      continue;
+    }
+
+    if (multiple) {
+      // Pull first so a case-only rename does not remove the new spelling
+      await Todo.updateMany({ _id: { $in: ids } }, { $pull: { [path]: { $in: patterns } } });
+      await Todo.updateMany({ _id: { $in: ids } }, { $addToSet: { [path]: name } });
+    } else {
+      await Todo.updateMany({ _id: { $in: ids } }, { $set: { [path]: name } });
+    }
+  }
+
+  const inherited = sourceLabels.find(label => label.color || label.icon);
+  const label = await upsertLabel(
+    { user: userId, kind, key: labelKey(name) },
+    { $set: { name } }
+  );
+  if (inherited && !label.color && !label.icon) {
+    label.color = inherited.color;
+    label.icon = inherited.icon;
+    await label.save();
+  }
+  await Label.deleteMany({ user: userId, kind, key: { $in: sourceKeys.filter(key => key !== label.key) } });
+
+  const updated = await Todo.find({ _id: { $in: todos.map(todo => todo._id) } });
+  await recordChanges(updated, befores, { actor: userActor(userId, 'labels') });
+
+  return { ...labelView(label), updated: updated.length };
+};
+
+// Remove a tag from every one of the user's todos
+const deleteTag = async (userId, name) => {
+  const pattern = variantPattern(name);
+  const todos = await Todo.find({
+    user: userId,
+    $or: [{ tags: pattern }, { 'seriesTemplate.tags': pattern }]
+  });
+  const { deletedCount } = await Label.deleteOne({ user: userId, kind: 'tag', key: labelKey(name) });
+
+  if (todos.length === 0 && deletedCount === 0) {
+    throw notFound('Tag not found');
+  }
+
+  const befores = snapshotsById(todos);
+  const ids = todos.map(todo => todo._id);
+  for (const path of ['tags', 'seriesTemplate.tags']) {
+    await Todo.updateMany({ _id: { $in: ids }, [path]: pattern }, { $pull: { [path]: pattern } });
+  }
+
+  const updated = await Todo.find({ _id: { $in: ids } });
+  await recordChanges(updated, befores, { actor: userActor(userId, 'labels') });
+
+  return { updated: updated.length };
+};
+
+module.exports = {
+  variantPattern,
+  findLabel,
+  normalizeLabels,
+  listLabels,
+  styleLabel,
+  mergeLabels,
+  deleteTag
+};
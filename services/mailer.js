@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+// Build the transport from the environment. Setting SMTP_HOST points mail
+// at any SMTP server (such as a local stand-in); otherwise Gmail is used.
+const createTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a test double; pass null to rebuild from env
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (options) => getTransport().sendMail({
+  from: `"Your App Name" <${process.env.EMAIL_USER}>`,
+  ...options
+});
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
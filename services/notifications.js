@@ -0,0 +1,175 @@
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const NotificationLog = require('../models/NotificationLog');
+const { sendMail } = require('./mailer');
+const { startOfZonedDay } = require('../utils/timezone');
+const { escapeHtml } = require('../utils/html');
+
+// Overdue nudges only go out for todos that fell due within this window,
+// so turning the option on does not flood the inbox with old items
+const OVERDUE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const formatDue = (date, timezone) => new Date(date).toLocaleString('en-US', {
+  timeZone: timezone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const renderEmail = (heading, intro, todos, timezone) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #4f46e5;">${heading}</h2>
+    <p>${intro}</p>
+    <ul style="background-color: #f3f4f6; padding: 15px 15px 15px 35px; border-radius: 5px; margin: 20px 0;">
+      ${todos.map(todo => `
+        <li style="margin: 5px 0; color: #4b5563;">
+          <strong>${escapeHtml(todo.title)}</strong>
+          ${todo.dueDate ? ` &middot; due ${formatDue(todo.dueDate, timezone)}` : ''}
+          ${todo.priority === 'high' ? ' &middot; high priority' : ''}
+        </li>
+      `).join('')}
+    </ul>
+    <p>You can change your notification settings in your profile at any time.</p>
+  </div>
+`;
+
+// Claim a log entry before sending so concurrent runs cannot both send.
+// Returns false when this notification was already sent.
+const claim = async (entry) => {
+  try {
+    await NotificationLog.create(entry);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Send one email guarded by the sent-log; the claim is released on failure
+// so the next run retries it
+const sendOnce = async (entry, mail) => {
+  if (!(await claim(entry))) {
+    return false;
+  }
+
+  try {
+    await sendMail(mail);
+    return true;
+  } catch (error) {
+    await NotificationLog.deleteOne({ key: entry.key });
+    throw error;
+  }
+};
+
+// Remind about todos due within the user's lead time
+const sendReminders = async (user, now) => {
+  const leadMs = user.notifications.reminderLeadMinutes * 60 * 1000;
+  const todos = await Todo.find({
+    user: user._id,
+    completed: false,
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + leadMs) }
+  });
+
+  let sent = 0;
+  for (const todo of todos) {
+    const didSend = await sendOnce({
+      user: user._id,
+      todo: todo._id,
+      type: 'reminder',
+      key: `reminder:${todo._id}:${todo.dueDate.getTime()}`
+    }, {
+      to: user.email,
+      subject: `Reminder: ${todo.title}`,
+      html: renderEmail('Coming Up', 'This task is due soon:', [todo], user.timezone)
+    });
+    if (didSend) sent++;
+  }
+  return sent;
+};
+
+// Nudge about todos that recently went past their due date
+const sendOverdueNudges = async (user, now) => {
+  const todos = await Todo.find({
+    user: user._id,
+    completed: false,
+    dueDate: { $gte: new Date(now.getTime() - OVERDUE_WINDOW_MS), $lte: now }
+  });
+
+  let sent = 0;
+  for (const todo of todos) {
+    const didSend = await sendOnce({
+      user: user._id,
+      todo: todo._id,
+      type: 'overdue',
+      key: `overdue:${todo._id}:${todo.dueDate.getTime()}`
+    }, {
+      to: user.email,
+      subject: `Overdue: ${todo.title}`,
+      html: renderEmail('Past Due', 'This task is now overdue:', [todo], user.timezone)
+    });
+    if (didSend) sent++;
+  }
+  return sent;
+};
+
+// Scheduled job: send due-date reminders and overdue nudges to opted-in users
+const runNotifications = async (now = new Date()) => {
+  const users = await User.find({
+    isVerified: true,
+    $or: [{ 'notifications.reminders': true }, { 'notifications.overdue': true }]
+  });
+  const summary = { reminders: 0, overdue: 0, failed: 0 };
+
+  for (const user of users) {
+    try {
+      if (user.notifications.reminders) {
+        summary.reminders += await sendReminders(user, now);
+      }
+      if (user.notifications.overdue) {
+        summary.overdue += await sendOverdueNudges(user, now);
+      }
+    } catch (error) {
+      console.error(`Notifications failed for user ${user._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Email the tasks the planner scheduled for the user's next day
+const sendDailyDigest = async (user, planDate, now = new Date()) => {
+  if (!user.notifications || !user.notifications.dailyDigest) {
+    return false;
+  }
+
+  const timezone = user.timezone || 'UTC';
+  const todos = await Todo.find({
+    user: user._id,
+    completed: false,
+    dueDate: {
+      $gte: startOfZonedDay(now, timezone, 1),
+      $lt: startOfZonedDay(now, timezone, 2)
+    }
+  }).sort({ dueDate: 1 });
+
+  if (todos.length === 0) {
+    return false;
+  }
+
+  return sendOnce({
+    user: user._id,
+    type: 'digest',
+    key: `digest:${user._id}:${planDate}`
+  }, {
+    to: user.email,
+    subject: `Your plan for ${planDate}`,
+    html: renderEmail('Your Plan for Tomorrow', `You have ${todos.length} task(s) scheduled:`, todos, timezone)
+  });
+};
+
+module.exports = {
+  runNotifications,
+  sendDailyDigest
+};
@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const PlanRun = require('../models/PlanRun');
+const { sendDailyDigest } = require('./notifications');
+const {
+  getZonedParts,
+  startOfZonedDay,
+  formatZonedDate
+} = require('../utils/timezone');
+const { plannerActor, snapshotsById, recordChanges } = require('./history');
+const { plannableTodoFilter } = require('./access');
+const { conflict, notFound } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scoring weights; higher scores are planned first
+const PRIORITY_SCORES = { high: 30, medium: 20, low: 10 };
+const OVERDUE_SCORE_PER_DAY = 5;
+const MAX_OVERDUE_SCORE = 40;
+const DUE_SOON_DAYS = 7;         // Todos due this soon can be planned early
+const DUE_SOON_SCORE_PER_DAY = 3;
+const DUE_TODAY_SCORE = (DUE_SOON_DAYS + 1) * DUE_SOON_SCORE_PER_DAY; // Overdue todos start here too
+const MAX_AGE_DAYS = 30;         // Age stops adding to the score after this
+
+// Capacity is learned from the minutes completed on recent active days
+const DEFAULT_ESTIMATE_MINUTES = 30;
+const DEFAULT_CAPACITY_MINUTES = 120;
+const MIN_CAPACITY_MINUTES = 30;
+const MAX_CAPACITY_MINUTES = 600;
+const CAPACITY_HISTORY_DAYS = 28;
+const MIN_HISTORY_DAYS = 3;
+const MAX_DEFERRED = 20;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Score a candidate and explain where the score came from. Days are
+// counted on the user's calendar: due later today is not overdue, and due
+// tomorrow scores above due the day after.
+const scoreTodo = (todo, { today, tomorrow, now, timezone }) => {
+  const priority = PRIORITY_SCORES[todo.priority] ? todo.priority : 'medium';
+  let score = PRIORITY_SCORES[priority];
+  const reasons = [`${priority} priority`];
+
+  if (todo.dueDate) {
+    // Whole calendar days from today to the due day; rounding absorbs DST
+    const days = Math.round((startOfZonedDay(todo.dueDate, timezone) - today) / DAY_MS);
+
+    if (todo.dueDate < now) {
+      const overdueDays = Math.max(0, -days);
+      score += DUE_TODAY_SCORE + Math.min(overdueDays * OVERDUE_SCORE_PER_DAY, MAX_OVERDUE_SCORE);
+      reasons.push(overdueDays > 0 ? `overdue by ${plural(overdueDays, 'day')}` : 'overdue since earlier today');
+    } else if (todo.dueDate < tomorrow) {
+      score += DUE_TODAY_SCORE;
+      reasons.push('due later today');
+    } else {
+      score += Math.max(0, DUE_SOON_DAYS - days + 1) * DUE_SOON_SCORE_PER_DAY;
+      reasons.push(days === 1 ? 'due tomorrow' : `due in ${plural(days, 'day')}`);
+    }
+  }
+
+  const ageDays = Math.floor((now - todo.createdAt) / DAY_MS);
+  if (ageDays >= 1) {
+    score += Math.min(ageDays, MAX_AGE_DAYS) / 3;
+    reasons.push(`open for ${plural(ageDays, 'day')}`);
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+};
+
+// Average minutes completed per active day over the recent history,
+// counting unestimated todos at their category's typical estimate
+const learnCapacity = (completedTodos, estimateFor, { timezone, now }) => {
+  const since = startOfZonedDay(now, timezone, -CAPACITY_HISTORY_DAYS);
+  const minutesByDay = {};
+
+  completedTodos.forEach(todo => {
+    if (todo.completedAt && todo.completedAt >= since && todo.completedAt < now) {
+      const day = formatZonedDate(todo.completedAt, timezone);
+      minutesByDay[day] = (minutesByDay[day] || 0) + estimateFor(todo);
+    }
+  });
+
+  const days = Object.values(minutesByDay);
+  if (days.length < MIN_HISTORY_DAYS) {
+    return { minutes: DEFAULT_CAPACITY_MINUTES, source: 'default', activeDays: days.length };
+  }
+
+  const average = days.reduce((sum, minutes) => sum + minutes, 0) / days.length;
+  const minutes = Math.round(Math.min(MAX_CAPACITY_MINUTES, Math.max(MIN_CAPACITY_MINUTES, average)));
+  return { minutes, source: 'history', activeDays: days.length };
+};
+
+// Only unscheduled and overdue todos are moved to the planned day. A due
+// date still ahead is the user's; planning such a todo early leaves it be.
+const needsDueDate = (todo, now) => !todo.dueDate || todo.dueDate < now;
+
+// Move todos to the planned day and record it in their history
+const scheduleTodos = async (todos, dueDate, actor) => {
+  if (todos.length === 0) {
+    return;
+  }
+
+  const befores = snapshotsById(todos);
+
+  await Todo.updateMany({ _id: { $in: todos.map(todo => todo._id) } }, { dueDate });
+  todos.forEach(todo => {
+    todo.dueDate = dueDate;
+  });
+
+  await recordChanges(todos, befores, { actor, action: 'planned' });
+};
+
+const summarizeTask = (todo, estimateMinutes, score, reason) => ({
+  todo: todo._id,
+  title: todo.title,
+  priority: todo.priority,
+  dueDate: todo.dueDate,
+  estimateMinutes,
+  score,
+  reason
+});
+
+// Analyze a user's completion history and schedule their tasks for tomorrow.
+// "Tomorrow" is the next calendar day in the user's own timezone. Only the
+// user's personal todos and the list todos assigned to them are planned.
+// Candidates are scored and added until the learned daily capacity is used
+// up; with dryRun the plan is returned without changing any todo.
+const planTomorrow = async (userId, {
+  timezone = 'UTC',
+  now = new Date(),
+  dryRun = false,
+  actor = plannerActor()
+} = {}) => {
+  const scope = await plannableTodoFilter(userId);
+
+  // Get completion statistics for the user
+  const completedTodos = await Todo.find({ 
+    ...scope,
+    completed: true
+  });
+  
+  const pendingTodos = await Todo.find({ 
+    ...scope,
+    completed: false
+  });
+  
+  // Analyze completion patterns
+  const completionByDay = {};
+  const completionByCategory = {};
+  const averageCompletionTimes = {};
+  const estimatesByCategory = {};
+  
+  completedTodos.forEach(todo => {
+    const category = todo.category || 'general';
+
+    if (todo.estimateMinutes) {
+      if (!estimatesByCategory[category]) {
+        estimatesByCategory[category] = { count: 0, total: 0 };
+      }
+      estimatesByCategory[category].count++;
+      estimatesByCategory[category].total += todo.estimateMinutes;
+    }
+
+    if (todo.completedAt && todo.createdAt) {
+      // Analyze by day of week
+      const day = getZonedParts(new Date(todo.completedAt), timezone).weekday;
+      completionByDay[day] = (completionByDay[day] || 0) + 1;
+      
+      // Analyze by category
+      if (!completionByCategory[category]) {
+        completionByCategory[category] = { count: 0, totalTime: 0 };
+      }
+      
+      // Calculate completion time
+      const completionTime = todo.completedAt - todo.createdAt;
+      completionByCategory[category].count++;
+      completionByCategory[category].totalTime += completionTime;
+    }
+  });
+  
+  // Calculate average completion time by category
+  Object.keys(completionByCategory).forEach(category => {
+    const { count, totalTime } = completionByCategory[category];
+    averageCompletionTimes[category] = count > 0 ? totalTime / count : 0;
+  });
+  
+  // Find the day with highest completion rate
+  let mostProductiveDay = 0;
+  let highestCompletions = 0;
+  
+  Object.keys(completionByDay).forEach(day => {
+    if (completionByDay[day] > highestCompletions) {
+      mostProductiveDay = parseInt(day);
+      highestCompletions = completionByDay[day];
+    }
+  });
+
+  // Unestimated todos count as their category's average estimate
+  const estimateFor = (todo) => {
+    if (todo.estimateMinutes) {
+      return todo.estimateMinutes;
+    }
+    const typical = estimatesByCategory[todo.category || 'general'];
+    return typical ? Math.round(typical.total / typical.count) : DEFAULT_ESTIMATE_MINUTES;
+  };
+  
+  // Get tomorrow's local day boundaries (23 or 25 hours long across DST)
+  const today = startOfZonedDay(now, timezone);
+  const tomorrow = startOfZonedDay(now, timezone, 1);
+  const dayAfterTomorrow = startOfZonedDay(now, timezone, 2);
+  const dueSoonLimit = startOfZonedDay(now, timezone, 2 + DUE_SOON_DAYS);
+  const planDate = formatZonedDate(tomorrow, timezone);
+
+  const capacity = learnCapacity(completedTodos, estimateFor, { timezone, now });
+  
+  // Tasks already due tomorrow use up capacity first
+  const isDueTomorrow = (todo) => todo.dueDate &&
+    todo.dueDate >= tomorrow && todo.dueDate < dayAfterTomorrow;
+  const existingTasks = pendingTodos.filter(isDueTomorrow);
+  const scheduledMinutes = existingTasks.reduce((sum, todo) => sum + estimateFor(todo), 0);
+
+  // Unscheduled and overdue todos, plus todos due within the next week.
+  // Upcoming recurring occurrences keep their place in the series.
+  // Only the first two kinds get tomorrow as their due date, see needsDueDate.
+  const candidates = pendingTodos
+    .filter(todo => !isDueTomorrow(todo))
+    .filter(todo => !todo.dueDate || todo.dueDate < tomorrow ||
+      (todo.dueDate < dueSoonLimit && !todo.recurrence))
+    .map(todo => ({ todo, estimateMinutes: estimateFor(todo), ...scoreTodo(todo, { today, tomorrow, now, timezone }) }))
+    .sort((a, b) => b.score - a.score || a.todo.createdAt - b.todo.createdAt);
+
+  const tasks = [];
+  const plannedTodos = [];
+  const deferred = [];
+  let remaining = capacity.minutes - scheduledMinutes;
+
+  candidates.forEach(({ todo, estimateMinutes, score, reasons }) => {
+    const reason = reasons.join(', ');
+
+    // A day with nothing on it still gets its top task, however large
+    const firstOfEmptyDay = existingTasks.length === 0 && tasks.length === 0;
+
+    if (estimateMinutes <= remaining || firstOfEmptyDay) {
+      tasks.push(summarizeTask(todo, estimateMinutes, score, reason));
+      plannedTodos.push(todo);
+      remaining -= estimateMinutes;
+    } else if (deferred.length < MAX_DEFERRED) {
+      deferred.push(summarizeTask(todo, estimateMinutes, score,
+        `${reason}; needs ${estimateMinutes} min, ${Math.max(0, remaining)} min left`));
+    }
+  });
+
+  const plan = {
+    capacityMinutes: capacity.minutes,
+    capacitySource: capacity.source,
+    scheduledMinutes,
+    plannedMinutes: tasks.reduce((sum, task) => sum + task.estimateMinutes, 0),
+    tasks,
+    deferred
+  };
+
+  const analysis = {
+    mostProductiveDay,
+    completionByCategory,
+    averageCompletionTimes
+  };
+  
+  if (tasks.length === 0) {
+    return {
+      planned: false,
+      planDate,
+      planStart: tomorrow,
+      message: candidates.length > 0 ? 'Tomorrow is already at capacity' : 'No tasks to plan',
+      tasksExisting: existingTasks.length,
+      plan,
+      analysis
+    };
+  }
+
+  if (!dryRun) {
+    await scheduleTodos(plannedTodos.filter(todo => needsDueDate(todo, now)), tomorrow, actor);
+  }
+  
+  return {
+    planned: !dryRun,
+    dryRun,
+    planDate,
+    planStart: tomorrow,
+    taskCount: existingTasks.length + tasks.length,
+    plan,
+    analysis
+  };
+};
+
+// Store a dry run as a proposal the user can accept or reject later
+const proposePlan = async (userId, { timezone = 'UTC', now = new Date() } = {}) => {
+  const result = await planTomorrow(userId, { timezone, now, dryRun: true });
+
+  if (result.plan.tasks.length === 0) {
+    return result;
+  }
+
+  const proposal = await PlanRun.create({
+    user: userId,
+    status: 'proposed',
+    planDate: result.planDate,
+    planStart: result.planStart,
+    taskCount: result.plan.tasks.length,
+    capacityMinutes: result.plan.capacityMinutes,
+    tasks: result.plan.tasks
+  });
+
+  return { ...result, proposalId: proposal._id };
+};
+
+const findProposal = async (userId, runId, { timezone, now }) => {
+  const run = mongoose.isValidObjectId(runId)
+    ? await PlanRun.findOne({ _id: runId, user: userId })
+    : null;
+
+  if (!run) {
+    throw notFound('Plan run not found');
+  }
+  if (run.status !== 'proposed') {
+    throw conflict(`This plan has already been ${run.status}`);
+  }
+  if (formatZonedDate(now, timezone) >= run.planDate) {
+    throw conflict('This proposal has expired');
+  }
+
+  return run;
+};
+
+// Apply a proposal: its tasks that are still open and unscheduled or
+// overdue become due on its day
+const acceptProposal = async (userId, runId, { timezone = 'UTC', now = new Date() } = {}) => {
+  const run = await findProposal(userId, runId, { timezone, now });
+
+  const todos = await Todo.find({
+    ...await plannableTodoFilter(userId),
+    _id: { $in: run.tasks.map(task => task.todo) },
+    completed: false
+  });
+  await scheduleTodos(todos.filter(todo => needsDueDate(todo, now)), run.planStart, plannerActor(userId));
+
+  run.status = 'accepted';
+  run.taskCount = todos.length;
+  run.decidedAt = now;
+  await run.save();
+
+  return run;
+};
+
+const rejectProposal = async (userId, runId, { timezone = 'UTC', now = new Date() } = {}) => {
+  const run = await findProposal(userId, runId, { timezone, now });
+
+  run.status = 'rejected';
+  run.decidedAt = now;
+  await run.save();
+
+  return run;
+};
+
+// Plan run recording the outcome of planTomorrow
+const runFromResult = (userId, result) => ({
+  user: userId,
+  planDate: result.planDate,
+  planStart: result.planStart,
+  status: result.planned ? 'planned' : 'skipped',
+  reason: result.planned ? null : result.message,
+  taskCount: result.planned ? result.taskCount : result.tasksExisting,
+  capacityMinutes: result.plan.capacityMinutes,
+  tasks: result.plan.tasks
+});
+
+// Plan tomorrow on request and record the run, as the nightly job does,
+// so the job does not plan the same day again
+const applyPlan = async (userId, { timezone = 'UTC', now = new Date(), actor = plannerActor(userId) } = {}) => {
+  const result = await planTomorrow(userId, { timezone, now, actor });
+  const run = await PlanRun.create(runFromResult(userId, result));
+  return { ...result, runId: run._id };
+};
+
+// Plan tomorrow for a single user and record the outcome
+const runPlanForUser = async (user, now = new Date()) => {
+  const timezone = user.timezone || 'UTC';
+  let run;
+
+  try {
+    run = runFromResult(user._id, await planTomorrow(user._id, { timezone, now }));
+  } catch (error) {
+    console.error(`Planning failed for user ${user._id}:`, error);
+    run = {
+      user: user._id,
+      planDate: formatZonedDate(startOfZonedDay(now, timezone, 1), timezone),
+      status: 'failed',
+      reason: error.message
+    };
+  }
+
+  const planRun = await PlanRun.create(run);
+
+  // The digest lists tomorrow's tasks, whether planned now or already there
+  if (planRun.status !== 'failed') {
+    try {
+      await sendDailyDigest(user, planRun.planDate, now);
+    } catch (error) {
+      console.error(`Daily digest failed for user ${user._id}:`, error);
+    }
+  }
+
+  return planRun;
+};
+
+// Scheduled job: plan tomorrow for every verified user whose local
+// planning hour has been reached and who has no run for that day yet.
+// Runs frequently so zones with half-hour offsets are not missed.
+const runNightlyPlanning = async (now = new Date()) => {
+  const users = await User.find({ isVerified: true }).select('_id email timezone planningHour notifications');
+  const summary = { planned: 0, skipped: 0, failed: 0 };
+
+  // One user at a time so a single failure never stops the run
+  for (const user of users) {
+    try {
+      const timezone = user.timezone || 'UTC';
+      const { hour } = getZonedParts(now, timezone);
+
+      // A planning hour skipped by a DST change still runs on the next tick
+      if (hour < (user.planningHour || 0)) {
+        continue;
+      }
+
+      const planDate = formatZonedDate(startOfZonedDay(now, timezone, 1), timezone);
+      // Open or rejected proposals do not count as a run
+      const alreadyRun = await PlanRun.exists({
+        user: user._id,
+        planDate,
+        status: { $nin: ['proposed', 'rejected'] }
+      });
+      if (alreadyRun) {
+        continue;
+      }
+
+      const run = await runPlanForUser(user, now);
+      summary[run.status]++;
+    } catch (error) {
+      console.error(`Could not record plan run for user ${user._id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  scoreTodo,
+  learnCapacity,
+  planTomorrow,
+  applyPlan,
+  proposePlan,
+  acceptProposal,
+  rejectProposal,
+  runPlanForUser,
+  runNightlyPlanning
+};
@@ -0,0 +1,88 @@
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const { nextOccurrence } = require('../utils/recurrence');
+const { systemActor, recordChange } = require('./history');
+
+// Fields copied into the series template and onto each new occurrence
+const TEMPLATE_FIELDS = ['title', 'notes', 'priority', 'category', 'tags', 'estimateMinutes'];
+
+// Snapshot a todo's current fields as the template for future occurrences
+const buildTemplate = (todo) => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = todo[field];
+  });
+  template.items = (todo.items || []).map(item => item.text);
+  return template;
+};
+
+const getTimezone = async (userId) => {
+  const user = await User.findById(userId).select('timezone');
+  return user ? user.timezone : 'UTC';
+};
+
+// Compute the due date of the occurrence after this one, or null if the series is over
+const findNextDueDate = async (todo) => {
+  const timezone = await getTimezone(todo.user);
+  return nextOccurrence(todo.recurrence, todo.dueDate || todo.recurrence.dtstart, {
+    timezone,
+    occurrence: todo.occurrence || 1
+  });
+};
+
+// Create the next occurrence of a recurring todo. Returns the new todo,
+// the one that already exists, or null when the series has ended or the
+// next occurrence was deleted.
+const spawnNextOccurrence = async (todo) => {
+  if (!todo || !todo.recurrence) {
+    return null;
+  }
+
+  const seriesId = todo.seriesId || todo._id;
+  const occurrence = (todo.occurrence || 1) + 1;
+
+  // Deleted occurrences count too, so completing a todo again after its
+  // next occurrence was trashed does not bring that occurrence back
+  const existing = await Todo.findOne({ seriesId, occurrence }).setOptions({ withDeleted: true });
+  if (existing) {
+    return existing.deletedAt ? null : existing;
+  }
+
+  const dueDate = await findNextDueDate(todo);
+  if (!dueDate) {
+    return null;
+  }
+
+  const template = todo.seriesTemplate
+    ? todo.seriesTemplate.toObject()
+    : buildTemplate(todo);
+
+  const next = await Todo.create({
+    title: template.title,
+    notes: template.notes,
+    priority: template.priority,
+    category: template.category,
+    tags: template.tags,
+    estimateMinutes: template.estimateMinutes,
+    items: (template.items || []).map(text => ({ text })),
+    dueDate,
+    parent: todo.parent,
+    list: todo.list,
+    assignee: todo.assignee,
+    recurrence: todo.recurrence.toObject(),
+    seriesId,
+    occurrence,
+    seriesTemplate: template,
+    user: todo.user
+  });
+  await recordChange(next, { actor: systemActor('recurrence') });
+
+  return next;
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  buildTemplate,
+  findNextDueDate,
+  spawnNextOccurrence
+};
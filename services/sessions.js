@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens carry their session id so they can be looked up directly
+const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const tokenPair = (session, refreshToken) => ({
+  token: signAccessToken(session.user.toString(), session.id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+// Start a session for a user signing in from the given request
+const createSession = async (userId, req) => {
+  const session = new Session({
+    user: userId,
+    device: req.get('user-agent') || null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  const refreshToken = generateRefreshToken(session.id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return tokenPair(session, refreshToken);
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// invalid; replaying an already-rotated token revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash === session.previousTokenHash) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  if (presentedHash !== session.tokenHash) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken(session.id);
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip || session.ip;
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+  await session.save();
+
+  return tokenPair(session, newRefreshToken);
+};
+
+// Check that the session behind an access token is still active
+const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+const revokeSession = (userId, sessionId) => Session.findOneAndUpdate(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { revokedAt: new Date() },
+  { new: true }
+);
+
+// Revoke every session, or every one but the given session
+const revokeAllSessions = (userId, { except } = {}) => Session.updateMany(
+  { user: userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+  { revokedAt: new Date() }
+);
+
+const listActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+};
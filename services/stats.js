@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const { formatZonedDate, startOfZonedDay } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// $dateToString formats for each period bucket
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d', // Monday the week starts on
+  month: '%Y-%m'
+};
+
+// Local calendar day a date falls on, as an aggregation expression
+const localDay = (date, timezone) => ({
+  $dateToString: { format: '%Y-%m-%d', date, timezone }
+});
+
+const periodKey = (granularity, timezone) => ({
+  $dateToString: {
+    format: PERIOD_FORMATS[granularity],
+    date: granularity === 'week'
+      ? { $dateTrunc: { date: '$completedAt', unit: 'week', startOfWeek: 'monday', timezone } }
+      : '$completedAt',
+    timezone
+  }
+});
+
+// A todo counts as on time when completed by the end of its due day
+const onTimeExpression = (timezone) => ({
+  $lt: ['$completedAt', {
+    $dateAdd: {
+      startDate: { $dateTrunc: { date: '$dueDate', unit: 'day', timezone } },
+      unit: 'day',
+      amount: 1,
+      timezone
+    }
+  }]
+});
+
+const leadTime = { $subtract: ['$completedAt', '$createdAt'] };
+
+// Longest run of consecutive days, and the run ending on the last day
+// (or the day before, so an empty today does not break the streak)
+const computeStreaks = (days, lastDay) => {
+  const daySet = new Set(days);
+  const toNumber = (day) => Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+  const sorted = [...daySet].map(toNumber).sort((a, b) => a - b);
+
+  let longest = 0;
+  let run = 0;
+  sorted.forEach((day, index) => {
+    run = index > 0 && day === sorted[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let cursor = toNumber(lastDay);
+  if (!sorted.includes(cursor)) {
+    cursor -= 1;
+  }
+  let current = 0;
+  while (sorted.includes(cursor)) {
+    current++;
+    cursor -= 1;
+  }
+
+  return { current, longest };
+};
+
+// Completion statistics for a user's todos completed in [from, to)
+const getCompletionStats = async (userId, { from, to, granularity = 'day', timezone = 'UTC' }) => {
+  const user = new mongoose.Types.ObjectId(userId);
+
+  const [facets] = await Todo.aggregate([
+    {
+      $match: {
+        user,
+        completed: true,
+        completedAt: { $gte: from, $lt: to }
+      }
+    },
+    {
+      $facet: {
+        periods: [
+          { $group: { _id: periodKey(granularity, timezone), count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        days: [
+          { $group: { _id: localDay('$completedAt', timezone) } }
+        ],
+        timeliness: [
+          {
+            $group: {
+              _id: null,
+              completed: { $sum: 1 },
+              noDueDate: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$dueDate', null] }, null] }, 1, 0] } },
+              onTime: {
+                $sum: {
+                  $cond: [
+                    { $and: [{ $ne: [{ $ifNull: ['$dueDate', null] }, null] }, onTimeExpression(timezone)] },
+                    1,
+                    0
+                  ]
+                }
+              },
+              averageLeadTimeMs: { $avg: leadTime }
+            }
+          }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: { $ifNull: ['$category', 'general'] },
+              completed: { $sum: 1 },
+              averageLeadTimeMs: { $avg: leadTime }
+            }
+          },
+          { $sort: { completed: -1, _id: 1 } }
+        ],
+        byTag: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', completed: { $sum: 1 }, averageLeadTimeMs: { $avg: leadTime } } },
+          { $sort: { completed: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const created = await Todo.countDocuments({
+    user,
+    createdAt: { $gte: from, $lt: to }
+  });
+
+  const totals = facets.timeliness[0] || {
+    completed: 0,
+    noDueDate: 0,
+    onTime: 0,
+    averageLeadTimeMs: null
+  };
+  const withDueDate = totals.completed - totals.noDueDate;
+  const late = withDueDate - totals.onTime;
+
+  // Streaks end on the last day of the range, or today if that is earlier
+  const lastInstant = new Date(Math.min(to.getTime() - 1, Date.now()));
+  const lastDay = formatZonedDate(lastInstant, timezone);
+
+  return {
+    range: { from, to, granularity, timezone },
+    totals: {
+      created,
+      completed: totals.completed,
+      onTime: totals.onTime,
+      late,
+      noDueDate: totals.noDueDate
+    },
+    onTimeRate: withDueDate > 0 ? totals.onTime / withDueDate : null,
+    averageLeadTimeMs: totals.averageLeadTimeMs,
+    completions: facets.periods.map(({ _id, count }) => ({ period: _id, count })),
+    streaks: computeStreaks(facets.days.map(({ _id }) => _id), lastDay),
+    byCategory: facets.byCategory.map(({ _id, completed, averageLeadTimeMs }) => ({
+      category: _id,
+      completed,
+      averageLeadTimeMs
+    })),
+    byTag: facets.byTag.map(({ _id, completed, averageLeadTimeMs }) => ({
+      tag: _id,
+      completed,
+      averageLeadTimeMs
+    }))
+  };
+};
+
+// Default range: the 30 local days up to and including today
+const defaultRange = (timezone, now = new Date()) => ({
+  from: startOfZonedDay(now, timezone, -29),
+  to: startOfZonedDay(now, timezone, 1)
+});
+
+module.exports = {
+  getCompletionStats,
+  defaultRange
+};
@@ -0,0 +1,108 @@
+const Todo = require('../models/todoModel');
+const { spawnNextOccurrence } = require('./recurrence');
+const { findTodoWithRole } = require('./access');
+const { snapshot, systemActor, recordChange } = require('./history');
+
+// Make sure a parent todo exists, is visible to the user, lives in the same
+// list as its subtask and would not create a cycle
+const validateParent = async (parentId, userId, { todoId = null, list = null } = {}) => {
+  const { todo: parent } = await findTodoWithRole(parentId, userId);
+  if (!parent) {
+    return 'Parent todo not found';
+  }
+
+  if (String(parent.list || '') !== String(list || '')) {
+    return 'A subtask must belong to the same list as its parent';
+  }
+
+  let current = parent;
+
+  // Walk up the ancestors to make sure the todo is not its own ancestor
+  while (current) {
+    if (todoId && current._id.equals(todoId)) {
+      return 'A todo cannot be nested under itself or one of its subtasks';
+    }
+    current = current.parent
+      ? await Todo.findById(current.parent).select('parent')
+      : null;
+  }
+
+  return null;
+};
+
+// Mark a todo completed once all of its checklist items and subtasks are done,
+// then give its own parent the same chance.
+const completeIfAllDone = async (todo) => {
+  if (!todo || todo.completed) {
+    return;
+  }
+
+  const children = await Todo.find({ parent: todo._id }).select('completed');
+  const steps = todo.items.length + children.length;
+
+  if (steps === 0) {
+    return;
+  }
+
+  const allDone = todo.items.every(item => item.done) &&
+    children.every(child => child.completed);
+
+  if (!allDone) {
+    return;
+  }
+
+  const before = snapshot(todo);
+  todo.completed = true;
+  todo.completedAt = new Date();
+  await todo.save();
+  await recordChange(todo, { before, actor: systemActor('subtasks') });
+  await spawnNextOccurrence(todo);
+
+  if (todo.parent) {
+    await completeIfAllDone(await Todo.findById(todo.parent));
+  }
+};
+
+// Attach checklist and subtask progress counts to todos for the response
+const withProgress = async (todos) => {
+  const list = Array.isArray(todos) ? todos : [todos];
+  const ids = list.map(todo => todo._id);
+
+  const counts = await Todo.aggregate([
+    { $match: { parent: { $in: ids } } },
+    {
+      $group: {
+        _id: '$parent',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: ['$completed', 1, 0] } }
+      }
+    }
+  ]);
+
+  const subtasksByParent = {};
+  counts.forEach(({ _id, total, done }) => {
+    subtasksByParent[_id.toString()] = { done, total };
+  });
+
+  const result = list.map(todo => {
+    const items = todo.items || [];
+    return {
+      ...todo.toJSON(),
+      progress: {
+        items: {
+          done: items.filter(item => item.done).length,
+          total: items.length
+        },
+        subtasks: subtasksByParent[todo._id.toString()] || { done: 0, total: 0 }
+      }
+    };
+  });
+
+  return Array.isArray(todos) ? result : result[0];
+};
+
+module.exports = {
+  validateParent,
+  completeIfAllDone,
+  withProgress
+};
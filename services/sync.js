@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const Tombstone = require('../models/Tombstone');
+const { accessibleTodoFilter, canEdit, findTodoWithRole } = require('./access');
+const { completeIfAllDone } = require('./subtasks');
+const { spawnNextOccurrence } = require('./recurrence');
+const { trashTodos } = require('./trash');
+const { userActor, snapshot, recordChange } = require('./history');
+const { normalizeLabels } = require('./labels');
+const { validateObject } = require('../utils/validation');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/todoQuery');
+const { badRequest, gone } = require('../utils/errors');
+const { NO_SLASH } = require('../schemas/labelSchemas');
+
+const { TOMBSTONE_TTL_DAYS } = Tombstone;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SYNC_MUTATIONS = 200;
+
+const labelName = { type: 'string', trim: true, minLength: 1, pattern: NO_SLASH, patternMessage: 'Must not contain /' };
+
+// Fields a sync mutation may set. Moving todos between lists, assigning
+// and nesting go through PUT /api/todos/:id.
+const syncFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: 500 },
+  completed: { type: 'boolean' },
+  dueDate: { type: 'date', nullable: true },
+  priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+  tags: { type: 'array', maxItems: 50, items: { ...labelName, maxLength: 50 } },
+  category: { ...labelName, maxLength: 100 },
+  notes: { type: 'string', trim: true, maxLength: 10000 },
+  estimateMinutes: { type: 'integer', min: 1, max: 1440, nullable: true }
+};
+
+const syncMutation = {
+  op: { type: 'string', enum: ['create', 'update', 'delete'], required: true },
+  id: { type: 'objectId' },
+  version: { type: 'integer', min: 0 },
+  fields: { type: 'object', properties: syncFields }
+};
+
+// Version from an If-Match header: "3", W/"3" or 3. Returns undefined
+// when there is no usable precondition.
+const parseIfMatch = (header) => {
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(header || '').trim());
+  return match ? Number(match[1]) : undefined;
+};
+
+// Filter matching a todo still at the given version. Todos saved before
+// versioning have no version field, which counts as 0.
+const versionFilter = (version) => (version === 0 ? { $in: [0, null] } : version);
+
+// Todos changed or deleted after `since`, oldest change first. since is
+// the nextSince of an earlier call, or an ISO date to start from; without
+// it every todo is returned. Deleted todos come back as tombstones.
+const listChanges = async (userId, { since, limit = 200, now = new Date() } = {}) => {
+  let position = null;
+
+  if (since) {
+    const date = /^\d{4}-\d{2}-\d{2}/.test(since) ? new Date(since) : null;
+    if (date && !isNaN(date.getTime())) {
+      position = { value: date, id: new mongoose.Types.ObjectId('000000000000000000000000') };
+    } else {
+      try {
+        position = decodeCursor(since, 'updatedAt');
+      } catch (error) {
+        throw badRequest('Invalid since', 'validation_failed', [
+          { in: 'query', field: 'since', code: 'invalid_format', message: 'Must be a nextSince value or an ISO date' }
+        ]);
+      }
+    }
+
+    if (position.value && position.value < now - TOMBSTONE_TTL_DAYS * DAY_MS) {
+      throw gone('Changes that old are no longer available. Sync again without since.', 'sync_expired');
+    }
+  }
+
+  const accessible = await accessibleTodoFilter(userId);
+  const after = (field) => (position
+    ? { $and: [accessible, cursorFilter(position, { field, direction: 1 })] }
+    : accessible);
+
+  // Purged todos are only gone for clients that saw them before. Their
+  // tombstones share one ordered stream with changed todos, so each page
+  // and nextSince cover both and nothing is sent twice.
+  const [todos, tombstones] = await Promise.all([
+    Todo.find(after('updatedAt'))
+      .setOptions({ withDeleted: true })
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1),
+    position && position.value
+      ? Tombstone.find(after('deletedAt')).sort({ deletedAt: 1, _id: 1 }).limit(limit + 1)
+      : []
+  ]);
+
+  const entries = [
+    ...todos.map(todo => ({ at: todo.updatedAt, id: todo._id, todo })),
+    ...tombstones.map(tombstone => ({ at: tombstone.deletedAt, id: tombstone._id, tombstone }))
+  ].sort((a, b) => (a.at - b.at) || (String(a.id) < String(b.id) ? -1 : 1));
+
+  const hasMore = entries.length > limit;
+  const page = hasMore ? entries.slice(0, limit) : entries;
+  const last = page[page.length - 1];
+
+  const changes = [];
+  const deleted = [];
+  page.forEach(({ todo, tombstone }) => {
+    if (tombstone) {
+      deleted.push({ id: tombstone.todo, deletedAt: tombstone.deletedAt });
+    } else if (todo.deletedAt) {
+      deleted.push({ id: todo._id, deletedAt: todo.deletedAt });
+    } else {
+      changes.push(todo);
+    }
+  });
+
+  return {
+    changes,
+    deleted,
+    hasMore,
+    nextSince: last
+      ? encodeCursor({ updatedAt: last.at, _id: last.id }, 'updatedAt')
+      : since || now.toISOString()
+  };
+};
+
+// Completion time follows the completed flag, as on PUT /api/todos/:id
+const withCompletion = (fields, todo) => {
+  const changes = { ...fields };
+  if (changes.completed && !(todo && todo.completed)) {
+    changes.completedAt = new Date();
+  } else if (changes.completed === false) {
+    changes.completedAt = null;
+  }
+  return changes;
+};
+
+const applyCreate = async (userId, { id, fields }, actor) => {
+  if (!fields || !fields.title) {
+    return { status: 'invalid', errors: [{ field: 'fields.title', code: 'required', message: 'Is required' }] };
+  }
+
+  // A client-chosen id makes replaying the same create harmless
+  if (id) {
+    const existing = await Todo.findOne({ _id: id }).setOptions({ withDeleted: true });
+    if (existing) {
+      return existing.user.equals(userId)
+        ? { status: 'applied', todo: existing }
+        : { status: 'invalid', errors: [{ field: 'id', code: 'invalid_id', message: 'Is already in use' }] };
+    }
+  }
+
+  const todo = await Todo.create({
+    ...withCompletion(fields),
+    ...await normalizeLabels(userId, fields),
+    ...(id ? { _id: id } : {}),
+    user: userId
+  });
+  await recordChange(todo, { actor });
+
+  return { status: 'applied', todo };
+};
+
+// Load a todo for an update or delete, or explain why not
+const loadForChange = async (userId, { id, version }) => {
+  if (!id) {
+    return { result: { status: 'invalid', errors: [{ field: 'id', code: 'required', message: 'Is required' }] } };
+  }
+
+  const { todo, role } = await findTodoWithRole(id, userId);
+  if (!todo) {
+    return { result: { status: 'not_found' } };
+  }
+  if (!canEdit(role)) {
+    return { result: { status: 'forbidden' } };
+  }
+  if (version !== undefined && version !== todo.version) {
+    return { result: { status: 'conflict', current: todo } };
+  }
+  return { todo };
+};
+
+const applyUpdate = async (userId, mutation, actor) => {
+  const { todo, result } = await loadForChange(userId, mutation);
+  if (result) {
+    return result;
+  }
+
+  const before = snapshot(todo);
+  const fields = mutation.fields || {};
+  const updated = await Todo.findOneAndUpdate(
+    { _id: todo._id, version: versionFilter(todo.version) },
+    { ...withCompletion(fields, todo), ...await normalizeLabels(userId, fields) },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    return { status: 'conflict', current: await Todo.findById(todo._id) };
+  }
+
+  await recordChange(updated, { before, actor });
+
+  if (updated.completed && !todo.completed) {
+    if (updated.parent) {
+      await completeIfAllDone(await Todo.findById(updated.parent));
+    }
+    if (updated.recurrence) {
+      await spawnNextOccurrence(updated);
+    }
+  }
+
+  return { status: 'applied', todo: updated };
+};
+
+const applyDelete = async (userId, mutation, actor) => {
+  const { todo, result } = await loadForChange(userId, mutation);
+
+  // Deleting something already in the trash is a no-op
+  if (result && result.status === 'not_found' && mutation.id) {
+    const { todo: trashed } = await findTodoWithRole(mutation.id, userId, { deleted: true });
+    if (trashed) {
+      return { status: 'applied' };
+    }
+  }
+  if (result) {
+    return result;
+  }
+
+  await trashTodos([todo]);
+  await recordChange(todo, { before: snapshot(todo), actor, action: 'deleted' });
+
+  return { status: 'applied' };
+};
+
+const APPLY = {
+  create: applyCreate,
+  update: applyUpdate,
+  delete: applyDelete
+};
+
+// Apply a batch of offline mutations in order. Each one succeeds or fails
+// on its own; updates and deletes that carry a version stale on the
+// server are reported as conflicts along with the server's copy.
+const applyMutations = async (userId, mutations) => {
+  const actor = userActor(userId, 'sync');
+  const results = [];
+
+  for (const [index, input] of mutations.entries()) {
+    const errors = [];
+    const mutation = validateObject(input, syncMutation, errors);
+
+    let result;
+    if (errors.length > 0) {
+      result = { status: 'invalid', errors };
+    } else {
+      try {
+        result = await APPLY[mutation.op](userId, mutation, actor);
+      } catch (error) {
+        result = {
+          status: 'invalid',
+          errors: [{ field: null, code: 'save_failed', message: error.message }]
+        };
+      }
+    }
+
+    results.push({
+      index,
+      op: mutation.op || null,
+      id: result.todo ? result.todo._id : mutation.id || null,
+      ...result
+    });
+  }
+
+  const summary = {};
+  results.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+
+  return { summary, results };
+};
+
+module.exports = {
+  MAX_SYNC_MUTATIONS,
+  parseIfMatch,
+  versionFilter,
+  listChanges,
+  applyMutations
+};
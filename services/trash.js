@@ -0,0 +1,127 @@
+const Todo = require('../models/todoModel');
+const Tombstone = require('../models/Tombstone');
+const { snapshot, recordChange, deleteHistory } = require('./history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long todos stay in the trash before the purge job removes them
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+};
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+// Ids of every open subtask below the given todos, at any depth
+const findDescendantIds = async (todoIds) => {
+  const descendants = [];
+  let frontier = todoIds;
+
+  while (frontier.length > 0) {
+    const children = await Todo.find({ parent: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// Move todos to the trash along with their subtasks. Subtasks remember
+// which todo took them along so they come back when it is restored; that
+// is the topmost todo trashed, even when a subtask was picked as well.
+const trashTodos = async (todos, now = new Date()) => {
+  // Found before anything is trashed, since trashed todos are not found
+  const descendantsById = new Map();
+  for (const todo of todos) {
+    descendantsById.set(String(todo._id), await findDescendantIds([todo._id]));
+  }
+
+  const takenAlong = new Set();
+  descendantsById.forEach(descendantIds => {
+    descendantIds.forEach(id => takenAlong.add(String(id)));
+  });
+  const topLevel = todos.filter(todo => !takenAlong.has(String(todo._id)));
+
+  await Todo.updateMany(
+    { _id: { $in: topLevel.map(todo => todo._id) } },
+    { deletedAt: now, deletedWith: null }
+  );
+
+  for (const todo of topLevel) {
+    const descendantIds = descendantsById.get(String(todo._id));
+    if (descendantIds.length > 0) {
+      await Todo.updateMany(
+        { _id: { $in: descendantIds } },
+        { deletedAt: now, deletedWith: todo._id }
+      );
+    }
+  }
+};
+
+// Bring a todo and the subtasks deleted with it back from the trash,
+// recording each restore. A todo whose parent is still in the trash
+// becomes a top-level todo.
+const restoreTodo = async (todo, { actor }) => {
+  const subtasks = await Todo.find({ deletedWith: todo._id, deletedAt: { $ne: null } });
+
+  const before = snapshot(todo);
+  todo.deletedAt = null;
+  todo.deletedWith = null;
+  if (todo.parent && !await Todo.exists({ _id: todo.parent })) {
+    todo.parent = null;
+  }
+  await todo.save();
+  await recordChange(todo, { before, actor, action: 'restored' });
+
+  for (const subtask of subtasks) {
+    const subtaskBefore = snapshot(subtask);
+    subtask.deletedAt = null;
+    subtask.deletedWith = null;
+    await subtask.save();
+    await recordChange(subtask, { before: subtaskBefore, actor, action: 'restored' });
+  }
+
+  return todo;
+};
+
+// Permanently remove trashed todos, the subtasks deleted with them and
+// their history, leaving tombstones for syncing clients
+const purgeTodos = async (todoIds) => {
+  const purged = await Todo.find({
+    $or: [{ _id: { $in: todoIds } }, { deletedWith: { $in: todoIds } }],
+    deletedAt: { $ne: null }
+  }).select('_id user list');
+  const purgedIds = purged.map(todo => todo._id);
+
+  const { deletedCount } = await Todo.deleteMany({ _id: { $in: purgedIds }, deletedAt: { $ne: null } });
+  await deleteHistory(purgedIds);
+  await Tombstone.insertMany(purged.map(todo => ({
+    todo: todo._id,
+    user: todo.user,
+    list: todo.list
+  })));
+
+  // Anything still pointing at a purged todo loses its parent
+  await Todo.updateMany(
+    { parent: { $in: todoIds } },
+    { parent: null },
+    { withDeleted: true }
+  );
+
+  return deletedCount;
+};
+
+// Scheduled job: purge todos that have been in the trash past the retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+  const expired = await Todo.find({ deletedAt: { $lt: cutoff } }).select('_id');
+  return purgeTodos(expired.map(todo => todo._id));
+};
+
+module.exports = {
+  purgeDate,
+  trashTodos,
+  restoreTodo,
+  purgeTodos,
+  purgeExpiredTrash
+};
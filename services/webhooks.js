@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const List = require('../models/List');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_EVENTS = ['todo.created', 'todo.completed', 'todo.deleted', 'todo.rescheduled'];
+
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000;       // 30s, 1m, 2m, 4m, 8m between attempts
+const DISABLE_AFTER_FAILURES = 5;      // Deliveries in a row that used up every attempt
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_MS = 60 * 1000;            // How long a delivery being sent is hidden from other workers
+const BATCH_SIZE = 50;
+
+// Which recorded history actions are sent, and as which event
+const EVENTS_BY_ACTION = {
+  created: 'todo.created',
+  completed: 'todo.completed',
+  deleted: 'todo.deleted',
+  planned: 'todo.rescheduled'
+};
+
+// Addresses webhooks may not reach unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true:
+// loopback, private networks, link-local (cloud metadata) and the like,
+// plus NAT64 and 6to4 prefixes, which can wrap any of those in IPv6
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return privateRanges.check(mapped[1], 'ipv4');
+  }
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const PRIVATE_ADDRESS = 'Webhook URL points to a private or local address';
+const MAX_REDIRECTS = 3;
+
+const allowsPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const listFromEnv = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+const hostnameOf = (url) => new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+// The checks that need no DNS: the URL is http(s), its host is in
+// WEBHOOK_ALLOWED_HOSTS when that is set, and an IP address host is not
+// private. Returns an error message, or null when allowed.
+const checkHost = (url) => {
+  let hostname;
+  try {
+    if (!['http:', 'https:'].includes(new URL(url).protocol)) {
+      return 'Webhook URL is not valid';
+    }
+    hostname = hostnameOf(url);
+  } catch (error) {
+    return 'Webhook URL is not valid';
+  }
+
+  const allowedHosts = listFromEnv(process.env.WEBHOOK_ALLOWED_HOSTS);
+  if (allowedHosts.length > 0 && !allowedHosts.includes(hostname)) {
+    return 'Webhook host is not in the allowed list';
+  }
+  if (!allowsPrivateHosts() && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return PRIVATE_ADDRESS;
+  }
+  return null;
+};
+
+// Check that a webhook URL may be called, when it is saved.
+// WEBHOOK_ALLOWED_HOSTS, when set, lists the only hosts allowed; otherwise
+// any host that does not resolve to a private address is. Returns an error
+// message, or null when allowed. Deliveries check again as they connect,
+// see guardedLookup.
+const checkDestination = async (url) => {
+  const refused = checkHost(url);
+  if (refused || allowsPrivateHosts() || net.isIP(hostnameOf(url))) {
+    return refused;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostnameOf(url), { all: true });
+  } catch (error) {
+    return 'Webhook host could not be resolved';
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address)) ? PRIVATE_ADDRESS : null;
+};
+
+// A destination webhooks may not reach; the message is logged as the reason
+const refusal = (message) => Object.assign(new Error(message), { code: 'EREFUSED_DESTINATION' });
+
+// Resolver for delivery sockets. The socket connects to the address checked
+// here, so a host cannot pass the check with a public address and then be
+// reached at a private one.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (!allowsPrivateHosts() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      callback(refusal(PRIVATE_ADDRESS));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// POST a body and resolve with the response status. Only 307 and 308
+// redirects are followed, as they keep the method and body, and each hop is
+// checked like the first.
+const post = (url, headers, body, signal, redirectsLeft = MAX_REDIRECTS) => {
+  const refused = checkHost(url);
+  if (refused) {
+    return Promise.reject(refusal(refused));
+  }
+
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, { method: 'POST', headers, signal, lookup: guardedLookup }, (response) => {
+      // Only the status is used; do not wait for the body
+      response.resume();
+      const { location } = response.headers;
+      if ([307, 308].includes(response.statusCode) && location && redirectsLeft > 0) {
+        resolve(post(new URL(location, target).href, headers, body, signal, redirectsLeft - 1));
+      } else {
+        resolve(response.statusCode);
+      }
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+// Short reason for a failed attempt. Response bodies and raw network
+// errors are not kept, so the log cannot be used to read other services.
+const failureReason = (error) => {
+  if (error.code === 'EREFUSED_DESTINATION') {
+    return error.message;
+  }
+  if (error.name === 'TimeoutError' || (error.cause && error.cause.name === 'TimeoutError')) {
+    return 'Timed out';
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  return code ? `Could not connect (${code})` : 'Could not connect';
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Signature receivers check: HMAC-SHA256 over "<timestamp>.<body>"
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+// Users who can see the todo a change belongs to
+const audienceFor = async (change) => {
+  if (!change.list) {
+    return [change.user];
+  }
+  const list = await List.findById(change.list).select('owner members.user');
+  return list ? [list.owner, ...list.members.map(member => member.user)] : [];
+};
+
+const buildPayload = (event, change) => ({
+  id: String(change._id),
+  event,
+  createdAt: change.createdAt,
+  data: {
+    todoId: change.todo,
+    action: change.action,
+    actor: change.actor,
+    changes: change.changes,
+    todo: change.snapshot ? { _id: change.todo, ...change.snapshot } : null
+  }
+});
+
+// Send one attempt of a delivery and record how it went
+const attemptDelivery = async (delivery, webhook, now = new Date()) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempt = { at: now, responseStatus: null, error: null };
+  const started = Date.now();
+
+  try {
+    const status = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'todo-app-webhooks',
+      'X-Webhook-Id': String(webhook._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+    }, body, AbortSignal.timeout(REQUEST_TIMEOUT_MS));
+    attempt.responseStatus = status;
+    if (status < 200 || status >= 300) {
+      attempt.error = `HTTP ${status} ${http.STATUS_CODES[status] || ''}`.trim();
+    }
+  } catch (error) {
+    attempt.error = failureReason(error);
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+  return !attempt.error;
+};
+
+// Stop sending to a webhook; queued deliveries are dropped
+const disableWebhook = async (webhook, reason, now = new Date()) => {
+  webhook.active = false;
+  webhook.disabledAt = now;
+  webhook.disabledReason = reason;
+  await webhook.save();
+
+  await WebhookDelivery.updateMany(
+    { webhook: webhook._id, status: 'pending' },
+    { status: 'failed' }
+  );
+};
+
+// Try a pending delivery once, then schedule a retry or settle it
+const processDelivery = async (delivery, now = new Date()) => {
+  const webhook = await Webhook.findById(delivery.webhook);
+
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    await delivery.save();
+    return delivery;
+  }
+
+  if (await attemptDelivery(delivery, webhook, now)) {
+    delivery.status = 'succeeded';
+    webhook.consecutiveFailures = 0;
+    webhook.lastSuccessAt = now;
+    await webhook.save();
+  } else if (delivery.attempts.length < MAX_ATTEMPTS) {
+    delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts.length));
+  } else {
+    delivery.status = 'failed';
+    webhook.consecutiveFailures += 1;
+    if (webhook.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+      await delivery.save();
+      await disableWebhook(webhook, `${webhook.consecutiveFailures} deliveries in a row failed`, now);
+      return delivery;
+    }
+    await webhook.save();
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Scheduled job, also run right after events are queued: send every
+// delivery that is due. Each one is claimed first so two instances never
+// send the same attempt.
+const processDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  const summary = { sent: 0, succeeded: 0, failed: 0 };
+
+  for (const { _id } of due) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+      { new: true }
+    );
+    if (!delivery) {
+      continue;
+    }
+
+    await processDelivery(delivery, new Date());
+    summary.sent++;
+    if (delivery.status !== 'pending') {
+      summary[delivery.status]++;
+    }
+  }
+
+  return summary;
+};
+
+// At most one immediate run at a time. Changes queued while it runs ask
+// for one more run afterwards, so a bulk action of hundreds of todos
+// starts two scans, not hundreds.
+let deliveryRun = null;
+let runAgain = false;
+
+const scheduleDeliveryRun = () => {
+  if (deliveryRun) {
+    runAgain = true;
+    return;
+  }
+  deliveryRun = new Promise(resolve => setImmediate(resolve))
+    .then(async () => {
+      do {
+        runAgain = false;
+        await processDueDeliveries();
+      } while (runAgain);
+    })
+    .catch(error => console.error('Error sending webhook deliveries:', error))
+    .finally(() => {
+      deliveryRun = null;
+    });
+};
+
+// Queue deliveries of a recorded todo change for every active webhook
+// subscribed to its event, among the users who can see the todo
+const queueChange = async (change) => {
+  const event = EVENTS_BY_ACTION[change.action];
+  if (!event) {
+    return 0;
+  }
+
+  const webhooks = await Webhook.find({
+    user: { $in: await audienceFor(change) },
+    active: true,
+    events: event
+  });
+  if (webhooks.length === 0) {
+    return 0;
+  }
+
+  const payload = buildPayload(event, change);
+  await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    user: webhook.user,
+    event,
+    payload
+  })));
+
+  // Send straight away; failures are retried by the scheduled job
+  scheduleDeliveryRun();
+
+  return webhooks.length;
+};
+
+// Send a ping to a webhook once, without retries, and return the delivery
+const pingWebhook = async (webhook, now = new Date()) => {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    user: webhook.user,
+    event: 'ping',
+    payload: { id: crypto.randomUUID(), event: 'ping', createdAt: now, data: { webhookId: webhook._id } }
+  });
+
+  delivery.status = await attemptDelivery(delivery, webhook, now) ? 'succeeded' : 'failed';
+  await delivery.save();
+  return delivery;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_USER,
+  generateSecret,
+  checkDestination,
+  queueChange,
+  processDueDeliveries,
+  pingWebhook
+};
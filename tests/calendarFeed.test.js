@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const CalendarFeed = require('../models/CalendarFeed');
+const Label = require('../models/Label');
+const List = require('../models/List');
+const Todo = require('../models/todoModel');
+const User = require('../models/User');
+const { renderFeed } = require('../services/calendarFeed');
+
+const userId = new mongoose.Types.ObjectId();
+
+// A feed and the todos and labels it is rendered from, without a database
+const setup = (t, { labels = [] } = {}) => {
+  const todos = [new Todo({ title: 'Pay rent', user: userId, dueDate: new Date('2026-11-01T09:00:00Z'), tags: ['home'] })];
+  const feed = new CalendarFeed({ user: userId, tokenHash: 'hash' });
+  const save = t.mock.method(feed, 'save', async () => feed);
+
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ timezone: 'UTC' }) }));
+  t.mock.method(List, 'find', () => ({ select: async () => [] }));
+  t.mock.method(Todo, 'find', () => ({ sort: async () => todos }));
+  t.mock.method(Label, 'findOne', async ({ kind, key }) =>
+    labels.find(label => label.kind === kind && label.name.toLowerCase() === key) || null);
+
+  return { feed, todos, save };
+};
+
+test('saves the feed only when what it serves changes', async (t) => {
+  const { feed, todos, save } = setup(t);
+
+  const first = await renderFeed(feed);
+  const second = await renderFeed(feed);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(second.etag, first.etag);
+  assert.deepStrictEqual(second.lastModified, first.lastModified);
+
+  todos.push(new Todo({ title: 'Call mum', user: userId, dueDate: new Date('2026-11-02T09:00:00Z') }));
+  const third = await renderFeed(feed);
+  assert.strictEqual(save.mock.callCount(), 2);
+  assert.notStrictEqual(third.etag, first.etag);
+});
+
+test('stores one version per known filter, whatever its spelling', async (t) => {
+  const { feed } = setup(t, { labels: [{ kind: 'tag', name: 'Home' }] });
+
+  await renderFeed(feed, { type: 'todo', tag: 'home' });
+  await renderFeed(feed, { type: 'todo', tag: 'HOME' });
+  assert.strictEqual(feed.versions.size, 1);
+});
+
+test('serves filters naming no label without storing a version', async (t) => {
+  const { feed, save } = setup(t);
+
+  for (let i = 0; i < 5; i++) {
+    const { body, etag, lastModified } = await renderFeed(feed, { type: 'event', tag: `made-up-${i}` });
+    assert.ok(body.startsWith('BEGIN:VCALENDAR'));
+    assert.ok(etag);
+    assert.strictEqual(lastModified, null);
+  }
+  assert.strictEqual(feed.versions.size, 0);
+  assert.strictEqual(save.mock.callCount(), 1);
+});
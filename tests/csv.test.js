@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+test('reads quoted cells with commas, doubled quotes and line breaks', () => {
+  const text = 'title,notes\n"Buy milk, eggs","Say ""hi""\nto Ann"\nCall mum,\n';
+  const { records } = parseCsv(text);
+  assert.deepStrictEqual(records, [
+    { title: 'Buy milk, eggs', notes: 'Say "hi"\nto Ann' },
+    { title: 'Call mum' }
+  ]);
+});
+
+test('reads CRLF, lone CR and a byte order mark', () => {
+  const { records } = parseCsv('\uFEFFtitle,priority\r\nOne,high\r\nTwo,low\rThree,medium');
+  assert.deepStrictEqual(records.map(record => record.title), ['One', 'Two', 'Three']);
+  assert.strictEqual(records[0].priority, 'high');
+});
+
+test('reports the line each row starts on, past blank lines and quoted breaks', () => {
+  const text = 'title,notes\r\nFirst,"two\r\nlines"\r\n\r\nSecond,x\r\n"Third\nrow",\r\n';
+  const { records, lines } = parseCsv(text);
+  assert.deepStrictEqual(records.map(record => record.title), ['First', 'Second', 'Third\nrow']);
+  assert.deepStrictEqual(lines, [2, 5, 6]);
+});
+
+test('rejects an unterminated quoted cell', () => {
+  assert.throws(() => parseCsv('title\n"Never closed\n'), /Unterminated quoted cell/);
+});
+
+test('writes formula-like cells as plain text and reads them back unchanged', () => {
+  const rows = [
+    { title: '=HYPERLINK("http://example.com")', notes: '+1 call' },
+    { title: '-5 push-ups', notes: '@home' },
+    { title: "'quoted already", notes: null }
+  ];
+  const text = toCsv(rows, ['title', 'notes']);
+  assert.strictEqual(text.split('\r\n')[1], `"'=HYPERLINK(""http://example.com"")",'+1 call`);
+  assert.strictEqual(text.split('\r\n')[2], "'-5 push-ups,'@home");
+
+  const { records } = parseCsv(text);
+  assert.deepStrictEqual(records, [
+    { title: '=HYPERLINK("http://example.com")', notes: '+1 call' },
+    { title: '-5 push-ups', notes: '@home' },
+    { title: "'quoted already" }
+  ]);
+});
@@ -0,0 +1,29 @@
+const express = require('express');
+const { notFoundHandler, errorHandler } = require('../../middleware/errorHandler');
+
+// Serve a router the way server.js mounts it, on a free local port.
+// Resolves to { request(method, path, body), close() }.
+const startApp = (mountPath, router) => new Promise(resolve => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      request: async (method, path, body) => {
+        const response = await fetch(`${base}${path}`, {
+          method,
+          headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+      },
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startApp };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  escapeText,
+  unescapeText,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue
+} = require('../utils/ical');
+
+test('reads VTODOs, unfolding lines and skipping other components', () => {
+  const text = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Not a todo',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'SUMMARY:Water the',
+    '  plants',
+    'CATEGORIES:home,garden',
+    'DUE;TZID="Europe/Berlin":20261020T090000',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VTODO',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const [todo, ...rest] = parseCalendar(text);
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(todo.type, 'VTODO');
+  assert.strictEqual(todo.properties.SUMMARY[0].value, 'Water the plants');
+  assert.strictEqual(todo.properties.CATEGORIES[0].value, 'home,garden');
+  assert.deepStrictEqual(todo.properties.DUE[0].params, { TZID: 'Europe/Berlin' });
+  assert.strictEqual(todo.properties.TRIGGER, undefined);
+});
+
+test('rejects an unterminated component', () => {
+  assert.throws(() => parseCalendar('BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:x\n'), /Unterminated VTODO/);
+});
+
+test('reads UTC, zoned, floating and date-only values', () => {
+  const value = (text, params = {}) => ({ value: text, params });
+  assert.strictEqual(parseDateValue(value('20261020T090000Z')).toISOString(), '2026-10-20T09:00:00.000Z');
+  assert.strictEqual(parseDateValue(value('20261020T090000', { TZID: 'America/New_York' })).toISOString(),
+    '2026-10-20T13:00:00.000Z');
+  assert.strictEqual(parseDateValue(value('20261020T090030'), 'Europe/Berlin').toISOString(),
+    '2026-10-20T07:00:30.000Z');
+  assert.strictEqual(parseDateValue(value('20261020'), 'Europe/Berlin').toISOString(), '2026-10-19T22:00:00.000Z');
+  // Unknown zones fall back to the user's
+  assert.strictEqual(parseDateValue(value('20261020T090000', { TZID: 'Mars/Olympus' }), 'UTC').toISOString(),
+    '2026-10-20T09:00:00.000Z');
+  assert.strictEqual(parseDateValue(value('tomorrow')), null);
+});
+
+test('escapes text and folds long lines so they read back the same', () => {
+  const summary = 'Plan trip; pack bags, book hotel\nand a very long note '.repeat(3);
+  const text = buildCalendar([{ type: 'VTODO', properties: [['SUMMARY', escapeText(summary)], ['DESCRIPTION', null]] }]);
+
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  const [todo] = parseCalendar(text);
+  assert.strictEqual(unescapeText(todo.properties.SUMMARY[0].value), summary);
+  assert.strictEqual(todo.properties.DESCRIPTION, undefined);
+});
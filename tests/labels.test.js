@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const { normalizeLabels } = require('../services/labels');
+const { validateObject } = require('../utils/validation');
+const labelSchemas = require('../schemas/labelSchemas');
+const todoSchemas = require('../schemas/todoSchemas');
+
+test('finds the label another request created at the same moment', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const label = new Label({ user: userId, kind: 'tag', key: 'home', name: 'Home' });
+  const calls = [];
+  t.mock.method(Label, 'findOneAndUpdate', async (filter, update, options) => {
+    calls.push(options);
+    if (options.upsert) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return label;
+  });
+
+  assert.deepStrictEqual(await normalizeLabels(userId, { tags: ['home '] }), { tags: ['Home'] });
+  assert.deepStrictEqual(calls, [{ upsert: true, new: true }, { new: true }]);
+});
+
+test('passes on other errors from the upsert', async (t) => {
+  t.mock.method(Label, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+  await assert.rejects(normalizeLabels(new mongoose.Types.ObjectId(), { category: 'Work' }), /connection lost/);
+});
+
+test('rejects new label names containing a slash', () => {
+  const invalidFields = (value, schema) => {
+    const errors = [];
+    validateObject(value, schema, errors);
+    return errors.map(error => `${error.field}:${error.code}`);
+  };
+
+  assert.deepStrictEqual(invalidFields({ name: 'work/client' }, labelSchemas.updateLabel), ['name:invalid_format']);
+  assert.deepStrictEqual(invalidFields({ from: ['a/b'], into: 'a-b' }, labelSchemas.mergeLabels), []);
+  assert.deepStrictEqual(invalidFields({ from: ['a'], into: 'a/b' }, labelSchemas.mergeLabels), ['into:invalid_format']);
+  assert.deepStrictEqual(
+    invalidFields({ title: 'x', tags: ['ok', 'not/ok'], category: 'a/b' }, todoSchemas.createTodo).sort(),
+    ['category:invalid_format', 'tags[1]:invalid_format']
+  );
+});
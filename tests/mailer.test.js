@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const PendingSignup = require('../models/PendingSignup');
+const { setTransport } = require('../services/mailer');
+const { setStore } = require('../middleware/rateLimit');
+const { createMemoryStore } = require('../utils/rateLimitStores');
+const { codeMatches } = require('../utils/codes');
+const authRoutes = require('../routes/auth');
+const { startApp } = require('./helpers/app');
+
+// In-memory transport keeping every message instead of sending it
+const createOutbox = () => {
+  const sent = [];
+  return { sent, sendMail: async (message) => { sent.push(message); return { messageId: String(sent.length) }; } };
+};
+
+const codeIn = (message) => /<h1[^>]*>(\d{6})<\/h1>/.exec(message.html)[1];
+
+test.beforeEach(() => setStore(createMemoryStore()));
+test.afterEach(() => {
+  setTransport(null);
+  setStore(null);
+});
+
+test('mails a signup verification code that matches the stored one', async (t) => {
+  const outbox = createOutbox();
+  setTransport(outbox);
+
+  let saved;
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(PendingSignup, 'findOneAndUpdate', async (filter, update) => {
+    saved = update;
+    return update;
+  });
+
+  const app = await startApp('/api/auth', authRoutes);
+  t.after(() => app.close());
+
+  const { status } = await app.request('POST', '/api/auth/send-verification-code', { email: 'ada@example.com' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(outbox.sent.length, 1);
+
+  const [message] = outbox.sent;
+  assert.strictEqual(message.to, 'ada@example.com');
+  assert.strictEqual(message.subject, 'Email Verification Code');
+  assert.ok(codeMatches(codeIn(message), saved.verificationCode), 'mailed code should match the stored hash');
+  assert.notStrictEqual(saved.verificationCode, codeIn(message));
+});
+
+test('mails a password reset code that matches the stored one', async (t) => {
+  const outbox = createOutbox();
+  setTransport(outbox);
+
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'hash' });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+
+  const app = await startApp('/api/auth', authRoutes);
+  t.after(() => app.close());
+
+  const { status } = await app.request('POST', '/api/auth/forgot-password', { email: 'ada@example.com' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(outbox.sent.length, 1);
+
+  const [message] = outbox.sent;
+  assert.strictEqual(message.to, 'ada@example.com');
+  assert.strictEqual(message.subject, 'Password Reset Code');
+  assert.ok(codeMatches(codeIn(message), user.resetCode), 'mailed code should match the stored hash');
+  assert.ok(user.resetCodeExpires > Date.now());
+});
+
+test('reports a transport failure on the verification code', async (t) => {
+  setTransport({ sendMail: async () => { throw new Error('SMTP down'); } });
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(PendingSignup, 'findOneAndUpdate', async (filter, update) => update);
+  t.mock.method(console, 'error', () => {});
+
+  const app = await startApp('/api/auth', authRoutes);
+  t.after(() => app.close());
+
+  const { status, body } = await app.request('POST', '/api/auth/send-verification-code', { email: 'ada@example.com' });
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.code, 'internal_error');
+});
+
+test('answers a reset request for an unknown address the same way, without mail', async (t) => {
+  const outbox = createOutbox();
+  setTransport(outbox);
+
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'hash' });
+  t.mock.method(User, 'findOne', async ({ email }) => (email === user.email ? user : null));
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+
+  const app = await startApp('/api/auth', authRoutes);
+  t.after(() => app.close());
+
+  const known = await app.request('POST', '/api/auth/forgot-password', { email: ' Ada@Example.com ' });
+  const unknown = await app.request('POST', '/api/auth/forgot-password', { email: 'nobody@example.com' });
+  assert.strictEqual(known.status, 200);
+  assert.deepStrictEqual(unknown, known);
+  assert.deepStrictEqual(outbox.sent.map(message => message.to), ['ada@example.com']);
+});
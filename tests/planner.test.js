@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const List = require('../models/List');
+const PlanRun = require('../models/PlanRun');
+const TodoChange = require('../models/TodoChange');
+const Webhook = require('../models/Webhook');
+const { scoreTodo, learnCapacity, planTomorrow, applyPlan } = require('../services/planner');
+const { startOfZonedDay } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const timezone = 'Europe/Berlin';
+
+// Scoring context for an instant, as planTomorrow builds it
+const contextAt = (now) => ({
+  now,
+  timezone,
+  today: startOfZonedDay(now, timezone),
+  tomorrow: startOfZonedDay(now, timezone, 1)
+});
+
+// Monday 19 October 2026, 12:00 in Berlin
+const now = new Date('2026-10-19T10:00:00Z');
+const score = (fields, at = now) => scoreTodo({ priority: 'medium', createdAt: at, ...fields }, contextAt(at));
+
+test('scores by priority, falling back to medium', () => {
+  assert.deepStrictEqual(score({ priority: 'high' }), { score: 30, reasons: ['high priority'] });
+  assert.deepStrictEqual(score({ priority: 'urgent' }), { score: 20, reasons: ['medium priority'] });
+});
+
+test('scores overdue and due-today todos on the user\'s calendar', () => {
+  assert.deepStrictEqual(score({ dueDate: new Date('2026-10-19T16:00:00Z') }),
+    { score: 44, reasons: ['medium priority', 'due later today'] });
+  assert.deepStrictEqual(score({ dueDate: new Date('2026-10-19T08:00:00Z') }),
+    { score: 44, reasons: ['medium priority', 'overdue since earlier today'] });
+  assert.deepStrictEqual(score({ dueDate: new Date('2026-10-17T10:00:00Z') }),
+    { score: 54, reasons: ['medium priority', 'overdue by 2 days'] });
+  // Overdue points stop adding up after 8 days
+  assert.strictEqual(score({ dueDate: new Date('2026-09-01T10:00:00Z') }).score, 84);
+});
+
+test('scores due tomorrow above due later in the week', () => {
+  // 23:30 tomorrow in Berlin is still tomorrow, though over 24 hours away
+  const tomorrow = score({ dueDate: new Date('2026-10-20T21:30:00Z') });
+  const later = score({ dueDate: new Date('2026-10-22T07:00:00Z') });
+  assert.deepStrictEqual(tomorrow, { score: 41, reasons: ['medium priority', 'due tomorrow'] });
+  assert.deepStrictEqual(later, { score: 35, reasons: ['medium priority', 'due in 3 days'] });
+  assert.strictEqual(score({ dueDate: new Date('2026-11-19T10:00:00Z') }).score, 20);
+});
+
+test('counts days across a DST change as calendar days', () => {
+  // Saturday noon before clocks go back; due Monday 10:00, 47 hours later
+  const saturday = new Date('2026-10-24T10:00:00Z');
+  assert.deepStrictEqual(score({ dueDate: new Date('2026-10-26T09:00:00Z') }, saturday),
+    { score: 38, reasons: ['medium priority', 'due in 2 days'] });
+});
+
+test('adds a little for every day a todo has been open', () => {
+  const { score: value, reasons } = score({ createdAt: new Date(now - 4 * DAY_MS) });
+  assert.strictEqual(value, 21.3);
+  assert.deepStrictEqual(reasons, ['medium priority', 'open for 4 days']);
+  assert.strictEqual(score({ createdAt: new Date(now - 90 * DAY_MS) }).score, 30);
+});
+
+const completed = (at, estimateMinutes) => ({ completedAt: new Date(at), estimateMinutes });
+const estimateFor = (todo) => todo.estimateMinutes;
+
+test('uses the default capacity until there are enough active days', () => {
+  const history = [completed('2026-10-15T10:00:00Z', 60), completed('2026-10-16T10:00:00Z', 60)];
+  assert.deepStrictEqual(learnCapacity(history, estimateFor, { timezone, now }),
+    { minutes: 120, source: 'default', activeDays: 2 });
+});
+
+test('learns capacity as the average per active local day', () => {
+  const history = [
+    completed('2026-10-14T10:00:00Z', 60),
+    // 00:30 on 16 October in Berlin, the same local day as the next one
+    completed('2026-10-15T22:30:00Z', 30),
+    completed('2026-10-16T10:00:00Z', 60),
+    completed('2026-10-18T10:00:00Z', 120),
+    // Too old, and not yet done
+    completed('2026-09-01T10:00:00Z', 500),
+    { completedAt: null, estimateMinutes: 500 }
+  ];
+  assert.deepStrictEqual(learnCapacity(history, estimateFor, { timezone, now }),
+    { minutes: 90, source: 'history', activeDays: 3 });
+});
+
+test('keeps learned capacity within bounds', () => {
+  const busy = ['14', '15', '16'].map(day => completed(`2026-10-${day}T10:00:00Z`, 1000));
+  const idle = ['14', '15', '16'].map(day => completed(`2026-10-${day}T10:00:00Z`, 5));
+  assert.strictEqual(learnCapacity(busy, estimateFor, { timezone, now }).minutes, 600);
+  assert.strictEqual(learnCapacity(idle, estimateFor, { timezone, now }).minutes, 30);
+});
+
+test('plans todos due soon without moving their due date', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const todo = (fields) => new Todo({
+    title: 'Task',
+    user: userId,
+    estimateMinutes: 20,
+    createdAt: now,
+    ...fields
+  });
+  const unscheduled = todo({ title: 'Unscheduled' });
+  const overdue = todo({ title: 'Overdue', dueDate: new Date('2026-10-17T10:00:00Z') });
+  const dueSoon = todo({ title: 'Due Friday', dueDate: new Date('2026-10-23T10:00:00Z'), priority: 'high' });
+
+  t.mock.method(List, 'find', () => ({ select: async () => [] }));
+  t.mock.method(Todo, 'find', async (filter) => (filter.completed ? [] : [unscheduled, overdue, dueSoon]));
+  const updateMany = t.mock.method(Todo, 'updateMany', async () => ({}));
+  t.mock.method(TodoChange, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  t.mock.method(Webhook, 'find', async () => []);
+
+  const result = await planTomorrow(userId, { timezone, now });
+  assert.strictEqual(result.planned, true);
+  assert.deepStrictEqual(result.plan.tasks.map(task => task.title).sort(), ['Due Friday', 'Overdue', 'Unscheduled']);
+
+  const [filter, update] = updateMany.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter._id.$in.map(String).sort(), [overdue._id, unscheduled._id].map(String).sort());
+  assert.strictEqual(update.dueDate.toISOString(), '2026-10-19T22:00:00.000Z');
+  assert.strictEqual(dueSoon.dueDate.toISOString(), '2026-10-23T10:00:00.000Z');
+});
+
+test('plans only personal todos and list todos assigned to the user', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const editableList = new mongoose.Types.ObjectId();
+  t.mock.method(List, 'find', () => ({ select: async () => [{ _id: editableList }] }));
+  const find = t.mock.method(Todo, 'find', async () => []);
+
+  await planTomorrow(userId, { timezone, now, dryRun: true });
+  for (const call of find.mock.calls) {
+    assert.deepStrictEqual(call.arguments[0].$or, [
+      { user: userId, list: null },
+      { assignee: userId, list: { $in: [editableList] } }
+    ]);
+  }
+  assert.strictEqual(find.mock.callCount(), 2);
+});
+
+test('records a plan run for a plan made on request', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const todo = new Todo({ title: 'Unscheduled', user: userId, estimateMinutes: 20, createdAt: now });
+  t.mock.method(List, 'find', () => ({ select: async () => [] }));
+  t.mock.method(Todo, 'find', async (filter) => (filter.completed ? [] : [todo]));
+  t.mock.method(Todo, 'updateMany', async () => ({}));
+  t.mock.method(TodoChange, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  t.mock.method(Webhook, 'find', async () => []);
+  const create = t.mock.method(PlanRun, 'create', async (fields) => new PlanRun(fields));
+
+  const result = await applyPlan(userId, { timezone, now });
+  const [run] = create.mock.calls[0].arguments;
+  assert.strictEqual(result.planned, true);
+  assert.strictEqual(run.status, 'planned');
+  assert.strictEqual(run.planDate, '2026-10-20');
+  assert.strictEqual(run.taskCount, 1);
+  assert.ok(result.runId);
+});
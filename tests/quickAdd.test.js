@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuickAdd } = require('../utils/quickAdd');
+
+// Monday 19 October 2026, 12:00 in Berlin
+const now = new Date('2026-10-19T10:00:00Z');
+const timezone = 'Europe/Berlin';
+const parse = (text) => parseQuickAdd(text, { now, timezone });
+
+test('reads dates, times, tags, priority and category', () => {
+  const { title, fields, errors } = parse('Pay rent tomorrow 9am #finance !high @home');
+  assert.strictEqual(title, 'Pay rent');
+  assert.deepStrictEqual(fields.tags, ['finance']);
+  assert.strictEqual(fields.priority, 'high');
+  assert.strictEqual(fields.category, 'home');
+  assert.strictEqual(fields.dueDate.toISOString(), '2026-10-20T07:00:00.000Z');
+  assert.deepStrictEqual(errors, []);
+});
+
+test('leaves words that only start like a month in the title', () => {
+  for (const text of ['Buy 3 mayonnaise jars', 'Order 4 markers', 'Review 2 junior PRs', 'Decide 2 options']) {
+    const { title, fields } = parse(text);
+    assert.strictEqual(title, text);
+    assert.strictEqual(fields.dueDate, undefined);
+  }
+});
+
+test('reads full and abbreviated month names', () => {
+  assert.strictEqual(parse('Dentist on march 3rd').fields.dueDate.toISOString(), '2027-03-02T23:00:00.000Z');
+  assert.strictEqual(parse('Pay 1st of nov.').fields.dueDate.toISOString(), '2026-10-31T23:00:00.000Z');
+  assert.strictEqual(parse('Pay 1st of nov.').title, 'Pay');
+  assert.strictEqual(parse('Report due Sept 4').fields.dueDate.toISOString(), '2027-09-03T22:00:00.000Z');
+});
+
+test('reports a time that has passed on a date meaning today', () => {
+  for (const text of ['Read chapter 3:15 tonight', 'Call back today at 9am']) {
+    const { fields, errors } = parse(text);
+    assert.strictEqual(fields.dueDate, undefined);
+    assert.deepStrictEqual(errors.map(error => error.code), ['time_passed']);
+  }
+
+  const { fields, errors } = parse('Read chapter 9pm tonight');
+  assert.strictEqual(fields.dueDate.toISOString(), '2026-10-19T19:00:00.000Z');
+  assert.deepStrictEqual(errors, []);
+});
+
+test('moves a time on its own that has passed to tomorrow', () => {
+  assert.strictEqual(parse('Standup 9am').fields.dueDate.toISOString(), '2026-10-20T07:00:00.000Z');
+  assert.strictEqual(parse('Lunch at 13').fields.dueDate.toISOString(), '2026-10-19T11:00:00.000Z');
+});
+
+test('starts a recurring series on its next matching day', () => {
+  const { title, fields } = parse('Gym every mon, wed and fri 7am');
+  assert.strictEqual(title, 'Gym');
+  assert.deepStrictEqual(fields.recurrence, { frequency: 'weekly', byWeekday: [1, 3, 5] });
+  assert.strictEqual(fields.dueDate.toISOString(), '2026-10-21T05:00:00.000Z');
+});
+
+test('rejects dates that do not exist', () => {
+  const { fields, errors } = parse('Submit 2026-02-30');
+  assert.strictEqual(fields.dueDate, undefined);
+  assert.deepStrictEqual(errors.map(error => error.code), ['invalid_date']);
+});
+
+test('ends a tag at a slash, which label names may not contain', () => {
+  const { title, fields } = parse('Send invoice #work/client');
+  assert.deepStrictEqual(fields.tags, ['work']);
+  assert.strictEqual(title, 'Send invoice /client');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rateLimit, createLockout, setStore } = require('../middleware/rateLimit');
+const { createMemoryStore } = require('../utils/rateLimitStores');
+
+test.beforeEach(() => setStore(createMemoryStore()));
+test.afterEach(() => setStore(null));
+
+// Run a middleware on a fake request and resolve to what it passed to next()
+const run = (middleware, req) => new Promise(resolve => {
+  middleware({ ip: '203.0.113.5', body: {}, ...req }, {}, resolve);
+});
+
+test('limits requests per client IP', async () => {
+  const limit = rateLimit({ name: 'ip-test', windowMs: 60 * 1000, maxPerIp: 2 });
+
+  assert.strictEqual(await run(limit, {}), undefined);
+  assert.strictEqual(await run(limit, {}), undefined);
+  const error = await run(limit, {});
+  assert.strictEqual(error.status, 429);
+  assert.strictEqual(error.code, 'rate_limited');
+  assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+
+  // Other clients have their own count
+  assert.strictEqual(await run(limit, { ip: '203.0.113.6' }), undefined);
+});
+
+test('counts an email address however it is written', async () => {
+  const limit = rateLimit({ name: 'email-test', windowMs: 60 * 1000, maxPerIp: 100, maxPerEmail: 2 });
+
+  assert.strictEqual(await run(limit, { ip: '203.0.113.1', body: { email: 'ada@example.com' } }), undefined);
+  assert.strictEqual(await run(limit, { ip: '203.0.113.2', body: { email: ' Ada@Example.com ' } }), undefined);
+  const error = await run(limit, { ip: '203.0.113.3', body: { email: 'ADA@EXAMPLE.COM' } });
+  assert.strictEqual(error.status, 429);
+});
+
+test('reads the email from emailField and limits signed-in users', async () => {
+  const limit = rateLimit({
+    name: 'user-test',
+    windowMs: 60 * 1000,
+    maxPerIp: 100,
+    maxPerEmail: 100,
+    maxPerUser: 1,
+    emailField: 'newEmail'
+  });
+  const user = { id: 'user-1' };
+
+  assert.strictEqual(await run(limit, { user, body: { newEmail: 'a@example.com' } }), undefined);
+  assert.strictEqual((await run(limit, { user, body: { newEmail: 'b@example.com' } })).status, 429);
+  assert.strictEqual(await run(limit, { user: { id: 'user-2' }, body: { newEmail: 'c@example.com' } }), undefined);
+});
+
+test('starts a new window once the old one ends', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limit = rateLimit({ name: 'window-test', windowMs: 1000, maxPerIp: 1 });
+
+  assert.strictEqual(await run(limit, {}), undefined);
+  assert.strictEqual((await run(limit, {})).status, 429);
+  t.mock.timers.tick(1000);
+  assert.strictEqual(await run(limit, {}), undefined);
+});
+
+test('lets requests through when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setStore({ increment: async () => { throw new Error('store down'); } });
+  const limit = rateLimit({ name: 'store-test', windowMs: 1000, maxPerIp: 1 });
+
+  assert.strictEqual(await run(limit, {}), undefined);
+  assert.strictEqual(await run(limit, {}), undefined);
+});
+
+test('locks an email out after repeated failures until cleared', async () => {
+  const lockout = createLockout({ name: 'lockout-test', windowMs: 60 * 1000, maxFailures: 2 });
+  const req = { body: { email: 'ada@example.com' } };
+
+  await lockout.recordFailure('ada@example.com');
+  assert.strictEqual(await run(lockout.check, req), undefined);
+  await lockout.recordFailure('Ada@example.com');
+  assert.strictEqual((await run(lockout.check, req)).status, 429);
+
+  await lockout.clear('ada@example.com');
+  assert.strictEqual(await run(lockout.check, req), undefined);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const { nextOccurrence } = require('../utils/recurrence');
+const { spawnNextOccurrence } = require('../services/recurrence');
+
+const rule = (fields) => ({ interval: 1, byWeekday: [], until: null, count: null, ...fields });
+const next = (fields, after, options) => {
+  const date = nextOccurrence(rule(fields), new Date(after), options);
+  return date && date.toISOString();
+};
+
+test('steps daily rules by their interval from the first due date', () => {
+  const every2Days = { frequency: 'daily', interval: 2, dtstart: new Date('2026-10-01T09:00:00Z') };
+  assert.strictEqual(next(every2Days, '2026-10-01T09:00:00Z'), '2026-10-03T09:00:00.000Z');
+  assert.strictEqual(next(every2Days, '2026-10-04T12:00:00Z'), '2026-10-05T09:00:00.000Z');
+});
+
+test('picks the next listed weekday in every interval-th week', () => {
+  // Mondays and Wednesdays every other week, from Monday 5 October
+  const biweekly = {
+    frequency: 'weekly',
+    interval: 2,
+    byWeekday: [1, 3],
+    dtstart: new Date('2026-10-05T09:00:00Z')
+  };
+  assert.strictEqual(next(biweekly, '2026-10-05T09:00:00Z'), '2026-10-07T09:00:00.000Z');
+  assert.strictEqual(next(biweekly, '2026-10-07T09:00:00Z'), '2026-10-19T09:00:00.000Z');
+  assert.strictEqual(next(biweekly, '2026-10-19T09:00:00Z'), '2026-10-21T09:00:00.000Z');
+});
+
+test('repeats weekly rules without weekdays on the first due date\'s weekday', () => {
+  const weekly = { frequency: 'weekly', dtstart: new Date('2026-10-08T18:30:00Z') };
+  assert.strictEqual(next(weekly, '2026-10-08T18:30:00Z'), '2026-10-15T18:30:00.000Z');
+});
+
+test('ends the series at until, inclusive', () => {
+  const untilThird = {
+    frequency: 'daily',
+    dtstart: new Date('2026-10-01T09:00:00Z'),
+    until: new Date('2026-10-03T09:00:00Z')
+  };
+  assert.strictEqual(next(untilThird, '2026-10-02T09:00:00Z'), '2026-10-03T09:00:00.000Z');
+  assert.strictEqual(next(untilThird, '2026-10-03T09:00:00Z'), null);
+});
+
+test('ends the series after count occurrences', () => {
+  const threeTimes = { frequency: 'daily', count: 3, dtstart: new Date('2026-10-01T09:00:00Z') };
+  assert.strictEqual(next(threeTimes, '2026-10-02T09:00:00Z', { occurrence: 2 }), '2026-10-03T09:00:00.000Z');
+  assert.strictEqual(next(threeTimes, '2026-10-03T09:00:00Z', { occurrence: 3 }), null);
+});
+
+test('clamps monthly rules to short months without drifting', () => {
+  const monthEnd = { frequency: 'monthly', dtstart: new Date('2026-01-31T09:00:00Z') };
+  assert.strictEqual(next(monthEnd, '2026-01-31T09:00:00Z'), '2026-02-28T09:00:00.000Z');
+  assert.strictEqual(next(monthEnd, '2026-02-28T09:00:00Z'), '2026-03-31T09:00:00.000Z');
+  assert.strictEqual(next(monthEnd, '2026-03-31T09:00:00Z'), '2026-04-30T09:00:00.000Z');
+  assert.strictEqual(next(monthEnd, '2028-01-31T09:00:00Z'), '2028-02-29T09:00:00.000Z');
+
+  const quarterly = { frequency: 'monthly', interval: 3, dtstart: new Date('2026-11-30T09:00:00Z') };
+  assert.strictEqual(next(quarterly, '2026-11-30T09:00:00Z'), '2027-02-28T09:00:00.000Z');
+});
+
+test('keeps the local time of day across a DST change', () => {
+  // 09:00 in Berlin, on the day before clocks go back on 25 October 2026
+  const daily = { frequency: 'daily', dtstart: new Date('2026-10-24T07:00:00Z') };
+  const options = { timezone: 'Europe/Berlin' };
+  assert.strictEqual(next(daily, '2026-10-24T07:00:00Z', options), '2026-10-25T08:00:00.000Z');
+});
+
+test('does not bring back a next occurrence that was deleted', async (t) => {
+  const todo = new Todo({
+    title: 'Water plants',
+    user: new mongoose.Types.ObjectId(),
+    dueDate: new Date('2026-10-01T09:00:00Z'),
+    recurrence: { frequency: 'daily', dtstart: new Date('2026-10-01T09:00:00Z') },
+    occurrence: 1
+  });
+  const trashed = new Todo({ title: 'Water plants', user: todo.user, deletedAt: new Date() });
+
+  let options;
+  t.mock.method(Todo, 'findOne', () => ({
+    setOptions(value) {
+      options = value;
+      return Promise.resolve(options.withDeleted ? trashed : null);
+    }
+  }));
+  const create = t.mock.method(Todo, 'create', async () => {
+    throw new Error('should not create a new occurrence');
+  });
+
+  assert.strictEqual(await spawnNextOccurrence(todo), null);
+  assert.deepStrictEqual(options, { withDeleted: true });
+  assert.strictEqual(create.mock.callCount(), 0);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const Todo = require('../models/todoModel');
+const Tombstone = require('../models/Tombstone');
+const { listChanges } = require('../services/sync');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/todoQuery');
+
+const { ObjectId } = mongoose.Types;
+
+test('round-trips cursors for dates, strings and missing values', () => {
+  const id = new ObjectId();
+  const updatedAt = new Date('2026-10-19T10:00:00.123Z');
+
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id, updatedAt }, 'updatedAt'), 'updatedAt'), { value: updatedAt, id });
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id, title: 'Milk' }, 'title'), 'title'), { value: 'Milk', id });
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ _id: id }, 'dueDate'), 'dueDate'), { value: null, id });
+});
+
+test('rejects cursors that do not decode', () => {
+  const bad = Buffer.from(JSON.stringify({ v: 1, id: 'not-an-id' })).toString('base64url');
+  for (const cursor of ['garbage', bad]) {
+    assert.throws(() => decodeCursor(cursor, 'updatedAt'), error =>
+      error.status === 400 && error.details[0].field === 'cursor');
+  }
+});
+
+test('continues after a cursor, putting missing values first', () => {
+  const id = new ObjectId();
+  const date = new Date('2026-10-19T10:00:00Z');
+
+  assert.deepStrictEqual(cursorFilter({ value: date, id }, { field: 'dueDate', direction: 1 }), {
+    $or: [{ dueDate: { $gt: date } }, { dueDate: date, _id: { $gt: id } }]
+  });
+  assert.deepStrictEqual(cursorFilter({ value: null, id }, { field: 'dueDate', direction: 1 }), {
+    $or: [{ dueDate: null, _id: { $gt: id } }, { dueDate: { $ne: null } }]
+  });
+  assert.deepStrictEqual(cursorFilter({ value: date, id }, { field: 'dueDate', direction: -1 }), {
+    $or: [{ dueDate: { $lt: date } }, { dueDate: date, _id: { $lt: id } }, { dueDate: null }]
+  });
+});
+
+// Enough of MongoDB's query language to run listChanges on arrays
+const compare = (a, b) => (a instanceof Date ? a - b : String(a).localeCompare(String(b)));
+const same = (a, b) => (a === null || b === null ? a === b : compare(a, b) === 0);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+
+  const value = doc[key] === undefined ? null : doc[key];
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !(condition instanceof ObjectId)) {
+    return Object.entries(condition).every(([operator, operand]) => ({
+      $gt: () => value !== null && compare(value, operand) > 0,
+      $ne: () => !same(value, operand),
+      $in: () => operand.some(item => same(value, item))
+    })[operator]());
+  }
+  return same(value, condition === undefined ? null : condition);
+});
+
+const collection = (docs) => (filter) => ({
+  setOptions() { return this; },
+  sort(order) {
+    const [field] = Object.keys(order);
+    this.sorted = docs.filter(doc => matches(doc, filter))
+      .sort((a, b) => compare(a[field], b[field]) || compare(a._id, b._id));
+    return this;
+  },
+  limit(count) {
+    return Promise.resolve(this.sorted.slice(0, count));
+  }
+});
+
+test('pages changed todos and tombstones as one stream', async (t) => {
+  const user = new ObjectId();
+  const at = (minute) => new Date(Date.UTC(2026, 9, 19, 10, minute));
+  // Ids ordered like creation, so ties on time break predictably
+  const [a, b, c, d, e, f] = Array.from({ length: 6 }, () => new ObjectId());
+
+  const todos = [
+    { _id: a, user, list: null, title: 'A', updatedAt: at(1) },
+    { _id: c, user, list: null, title: 'C', updatedAt: at(2) },
+    { _id: d, user, list: null, title: 'D (trashed)', updatedAt: at(3), deletedAt: at(3) },
+    { _id: f, user, list: null, title: 'F', updatedAt: at(5) },
+    { _id: new ObjectId(), user: new ObjectId(), list: null, title: 'Someone else\'s', updatedAt: at(2) }
+  ];
+  const tombstones = [
+    { _id: b, todo: new ObjectId(), user, list: null, deletedAt: at(2) },
+    { _id: e, todo: new ObjectId(), user, list: null, deletedAt: at(4) },
+    { _id: new ObjectId(), todo: new ObjectId(), user, list: null, deletedAt: at(-1) }
+  ];
+
+  t.mock.method(List, 'find', () => ({ select: async () => [] }));
+  t.mock.method(Todo, 'find', collection(todos));
+  t.mock.method(Tombstone, 'find', collection(tombstones));
+
+  const now = at(10);
+  const pages = [];
+  let since = at(0).toISOString();
+  let page;
+  do {
+    page = await listChanges(user, { since, limit: 2, now });
+    pages.push([
+      page.changes.map(todo => todo.title),
+      page.deleted.map(entry => entry.deletedAt.getUTCMinutes())
+    ]);
+    since = page.nextSince;
+  } while (page.hasMore);
+
+  // Each change and tombstone once, in (time, id) order: A, the tombstone
+  // at :02, C, trashed D, the tombstone at :04, F
+  assert.deepStrictEqual(pages, [
+    [['A'], [2]],
+    [['C'], [3]],
+    [['F'], [4]]
+  ]);
+
+  const empty = await listChanges(user, { since, limit: 2, now });
+  assert.deepStrictEqual([empty.changes, empty.deleted, empty.hasMore], [[], [], false]);
+  assert.strictEqual(empty.nextSince, since);
+});
+
+test('refuses a since older than tombstones are kept', async () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  await assert.rejects(listChanges(new ObjectId(), { since: '2026-01-01T00:00:00Z', now }), error =>
+    error.status === 410 && error.code === 'sync_expired');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startOfZonedDay, formatZonedDate, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('finds local day starts in the user\'s zone', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  assert.strictEqual(startOfZonedDay(now, 'Europe/Berlin').toISOString(), '2026-10-18T22:00:00.000Z');
+  assert.strictEqual(startOfZonedDay(now, 'America/New_York').toISOString(), '2026-10-19T04:00:00.000Z');
+  assert.strictEqual(startOfZonedDay(now, 'Asia/Kolkata', 1).toISOString(), '2026-10-19T18:30:00.000Z');
+  assert.strictEqual(formatZonedDate(new Date('2026-10-19T23:30:00Z'), 'Asia/Tokyo'), '2026-10-20');
+});
+
+test('gives a spring-forward day 23 hours', () => {
+  const day = new Date('2026-03-29T12:00:00Z');
+  const start = startOfZonedDay(day, 'Europe/Berlin');
+  const next = startOfZonedDay(day, 'Europe/Berlin', 1);
+  assert.strictEqual(start.toISOString(), '2026-03-28T23:00:00.000Z');
+  assert.strictEqual(next.toISOString(), '2026-03-29T22:00:00.000Z');
+  assert.strictEqual(next - start, 23 * HOUR_MS);
+});
+
+test('gives a fall-back day 25 hours', () => {
+  const day = new Date('2026-10-25T12:00:00Z');
+  const start = startOfZonedDay(day, 'Europe/Berlin');
+  const next = startOfZonedDay(day, 'Europe/Berlin', 1);
+  assert.strictEqual(start.toISOString(), '2026-10-24T22:00:00.000Z');
+  assert.strictEqual(next - start, 25 * HOUR_MS);
+});
+
+test('starts a day whose midnight was skipped when its clocks jumped', () => {
+  // Santiago moves from 00:00 straight to 01:00 on 6 September 2026
+  const start = startOfZonedDay(new Date('2026-09-06T15:00:00Z'), 'America/Santiago');
+  assert.strictEqual(start.toISOString(), '2026-09-06T04:00:00.000Z');
+  assert.deepStrictEqual(
+    [getZonedParts(start, 'America/Santiago').day, getZonedParts(start, 'America/Santiago').hour],
+    [6, 1]
+  );
+  assert.strictEqual(formatZonedDate(new Date(start - 1), 'America/Santiago'), '2026-09-05');
+});
+
+test('counts shifted days across month ends and DST', () => {
+  const start = startOfZonedDay(new Date('2026-10-30T12:00:00Z'), 'Europe/Berlin', 3);
+  assert.strictEqual(formatZonedDate(start, 'Europe/Berlin'), '2026-11-02');
+  assert.strictEqual(start.toISOString(), '2026-11-01T23:00:00.000Z');
+});
+
+test('moves a wall time skipped by spring-forward later by the gap', () => {
+  // Berlin skips from 02:00 to 03:00 on 29 March 2026
+  const skipped = zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin');
+  assert.strictEqual(skipped.toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.deepStrictEqual(
+    [getZonedParts(skipped, 'Europe/Berlin').hour, getZonedParts(skipped, 'Europe/Berlin').minute],
+    [3, 30]
+  );
+
+  // New York skips from 02:00 to 03:00 on 8 March 2026
+  const newYork = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 15 }, 'America/New_York');
+  assert.strictEqual(newYork.toISOString(), '2026-03-08T07:15:00.000Z');
+
+  // Times either side of the gap are unaffected
+  assert.strictEqual(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 1, minute: 59 }, 'Europe/Berlin').toISOString(),
+    '2026-03-29T00:59:00.000Z');
+  assert.strictEqual(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 3, minute: 0 }, 'Europe/Berlin').toISOString(),
+    '2026-03-29T01:00:00.000Z');
+});
+
+test('takes the first of two wall times repeated by fall-back', () => {
+  // Berlin shows 02:30 twice on 25 October 2026, first in summer time
+  const repeated = zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin');
+  assert.strictEqual(repeated.toISOString(), '2026-10-25T00:30:00.000Z');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const TodoChange = require('../models/TodoChange');
+const Webhook = require('../models/Webhook');
+const { trashTodos, restoreTodo } = require('../services/trash');
+const { userActor } = require('../services/history');
+
+const userId = new mongoose.Types.ObjectId();
+const newTodo = (fields) => new Todo({ title: 'Task', user: userId, ...fields });
+
+test('trashes a picked subtask along with its picked parent', async (t) => {
+  const parent = newTodo({ title: 'Parent' });
+  const child = newTodo({ title: 'Child', parent: parent._id });
+  const grandchild = newTodo({ title: 'Grandchild', parent: child._id });
+  const todos = [parent, child, grandchild];
+
+  t.mock.method(Todo, 'find', ({ parent: { $in: parentIds } }) => ({
+    select: async () => todos.filter(todo => parentIds.some(id => id.equals(todo.parent)))
+  }));
+  const updateMany = t.mock.method(Todo, 'updateMany', async () => ({}));
+
+  const now = new Date();
+  await trashTodos([child, parent], now);
+
+  const updates = updateMany.mock.calls.map(({ arguments: [filter, update] }) => ({
+    ids: filter._id.$in.map(String).sort(),
+    deletedWith: update.deletedWith && String(update.deletedWith)
+  }));
+  assert.deepStrictEqual(updates, [
+    { ids: [String(parent._id)], deletedWith: null },
+    { ids: [String(child._id), String(grandchild._id)].sort(), deletedWith: String(parent._id) }
+  ]);
+});
+
+test('records the restore of every subtask deleted with a todo', async (t) => {
+  const deletedAt = new Date();
+  const parent = newTodo({ title: 'Parent', deletedAt });
+  const subtasks = [
+    newTodo({ title: 'Child', parent: parent._id, deletedAt, deletedWith: parent._id }),
+    newTodo({ title: 'Other child', parent: parent._id, deletedAt, deletedWith: parent._id })
+  ];
+
+  t.mock.method(Todo, 'find', async () => subtasks);
+  t.mock.method(Todo.prototype, 'save', async function () { return this; });
+  t.mock.method(Webhook, 'find', async () => []);
+  const create = t.mock.method(TodoChange, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+  await restoreTodo(parent, { actor: userActor(userId) });
+
+  assert.strictEqual(parent.deletedAt, null);
+  assert.ok(subtasks.every(subtask => subtask.deletedAt === null && subtask.deletedWith === null));
+  assert.deepStrictEqual(
+    create.mock.calls.map(({ arguments: [change] }) => [change.snapshot.title, change.action]),
+    [['Parent', 'restored'], ['Child', 'restored'], ['Other child', 'restored']]
+  );
+});
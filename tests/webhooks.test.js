@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, checkDestination, processDueDeliveries, pingWebhook } = require('../services/webhooks');
+
+// Receiver side: what a subscriber does with each request
+const verifySignature = (secret, headers, body) => {
+  const timestamp = headers['x-webhook-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const given = headers['x-webhook-signature'] || '';
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+};
+
+// Local receiver answering with whatever status respond() returns
+const startReceiver = (secret) => new Promise(resolve => {
+  const receiver = { requests: [], respond: () => 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ valid: verifySignature(secret, req.headers, body), payload: JSON.parse(body) });
+      res.statusCode = receiver.respond();
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    receiver.port = server.address().port;
+    receiver.url = `http://127.0.0.1:${receiver.port}/hooks`;
+    receiver.close = () => new Promise(done => server.close(done));
+    resolve(receiver);
+  });
+});
+
+const newWebhook = (url, secret) => new Webhook({
+  user: new mongoose.Types.ObjectId(),
+  url,
+  events: ['todo.created'],
+  secret
+});
+
+// Models are stubbed so the delivery logic runs without a database
+const stubSaves = (t) => {
+  t.mock.method(Webhook.prototype, 'save', async function () { return this; });
+  t.mock.method(WebhookDelivery.prototype, 'save', async function () { return this; });
+};
+
+test('signs deliveries so the receiver can verify them', async (t) => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS);
+  stubSaves(t);
+
+  const secret = generateSecret();
+  const receiver = await startReceiver(secret);
+  t.after(() => receiver.close());
+
+  const delivery = await pingWebhook(newWebhook(receiver.url, secret));
+  assert.strictEqual(delivery.status, 'succeeded');
+  assert.strictEqual(receiver.requests.length, 1);
+  assert.ok(receiver.requests[0].valid, 'signature should verify');
+  assert.strictEqual(receiver.requests[0].payload.event, 'ping');
+});
+
+test('retries a delivery answered with 500, backing off each time', async (t) => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS);
+  stubSaves(t);
+
+  const secret = generateSecret();
+  const receiver = await startReceiver(secret);
+  t.after(() => receiver.close());
+
+  const webhook = newWebhook(receiver.url, secret);
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    user: webhook.user,
+    event: 'todo.created',
+    payload: { id: 'change-1', event: 'todo.created', data: {} }
+  });
+  t.mock.method(Webhook, 'findById', async () => webhook);
+  t.mock.method(WebhookDelivery, 'find', () => ({
+    sort() { return this; },
+    limit() { return this; },
+    select: async () => (delivery.status === 'pending' ? [{ _id: delivery._id }] : [])
+  }));
+  t.mock.method(WebhookDelivery, 'findOneAndUpdate', async () => delivery);
+
+  let failuresLeft = 2;
+  receiver.respond = () => (failuresLeft-- > 0 ? 500 : 200);
+  const farFuture = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  await processDueDeliveries(farFuture);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.attempts[0].responseStatus, 500);
+  assert.strictEqual(delivery.attempts[0].error, 'HTTP 500 Internal Server Error');
+  assert.strictEqual(delivery.nextAttemptAt - delivery.attempts[0].at, 30 * 1000);
+
+  await processDueDeliveries(farFuture);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.nextAttemptAt - delivery.attempts[1].at, 60 * 1000);
+
+  await processDueDeliveries(farFuture);
+  assert.strictEqual(delivery.status, 'succeeded');
+  assert.strictEqual(delivery.attempts.length, 3);
+  assert.strictEqual(webhook.consecutiveFailures, 0);
+  assert.ok(receiver.requests.every(request => request.valid), 'every signature should verify');
+});
+
+test('refuses private destinations when saved', async () => {
+  for (const url of [
+    'http://127.0.0.1/hooks',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hooks',
+    'http://[::ffff:10.0.0.1]/hooks',
+    'http://[64:ff9b::a9fe:a9fe]/hooks',
+    'http://[2002:7f00:1::]/hooks'
+  ]) {
+    assert.strictEqual(await checkDestination(url), 'Webhook URL points to a private or local address', url);
+  }
+  assert.strictEqual(await checkDestination('ftp://example.com/hooks'), 'Webhook URL is not valid');
+});
+
+test('refuses a host that resolves to a private address when delivering', async (t) => {
+  stubSaves(t);
+  const secret = generateSecret();
+  const receiver = await startReceiver(secret);
+  t.after(() => receiver.close());
+
+  // A name that passed the check when saved, now pointing at the receiver
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    callback(null, [{ address: '127.0.0.1', family: 4 }]);
+  });
+
+  const delivery = await pingWebhook(newWebhook(`http://hooks.example.com:${receiver.port}/hooks`, secret));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts[0].error, 'Webhook URL points to a private or local address');
+  assert.strictEqual(receiver.requests.length, 0);
+});
+
+test('checks the destination of every redirect', async (t) => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  t.after(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+  });
+  stubSaves(t);
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(307, { Location: 'http://169.254.169.254/latest/meta-data' });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(done => server.close(done)));
+
+  const delivery = await pingWebhook(newWebhook(`http://127.0.0.1:${server.address().port}/hooks`, generateSecret()));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts[0].error, 'Webhook host is not in the allowed list');
+});
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// Wrong guesses allowed before a code is thrown away
+const MAX_CODE_ATTEMPTS = 5;
+
+// 6-digit one-time code from a cryptographically secure source
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Codes are stored as keyed hashes so a database leak does not reveal them.
+// The hash is deterministic, so stored codes can still be looked up.
+const hashCode = (code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(String(code))
+  .digest('hex');
+
+const codeMatches = (code, hash) => {
+  if (!code || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from(hashCode(code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  MAX_CODE_ATTEMPTS,
+  generateCode,
+  hashCode,
+  codeMatches
+};
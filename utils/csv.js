@@ -0,0 +1,115 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheet apps run cells starting with these as formulas, so such
+// cells are written with a leading ' to keep them plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the ' added by escapeCell, so exports import back unchanged
+const unescapeFormula = (text) => (
+  text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Serialize rows as CSV with a header line. columns lists the keys to write.
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into rows of cells, each with the line it starts on.
+// Quoted cells may contain commas, doubled quotes and line breaks.
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Blank lines carry no data
+  return rows.filter(({ cells }) => cells.some(value => value !== ''));
+};
+
+// Parse CSV text with a header line into objects keyed by column name,
+// plus the line each one starts on (records and lines share indexes).
+// Empty cells are left out so they read as "not provided".
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return { records: [], lines: [] };
+  }
+
+  const columns = header.cells.map(name => name.trim());
+  const records = rows.map(({ cells }) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column && cells[index] !== undefined && cells[index] !== '') {
+        record[column] = unescapeFormula(cells[index]);
+      }
+    });
+    return record;
+  });
+
+  return { records, lines: rows.map(({ line }) => line) };
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
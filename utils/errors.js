@@ -0,0 +1,69 @@
+// Error with an HTTP status and a stable, machine-readable code. Routes and
+// middleware throw these; middleware/errorHandler turns them into the
+// { success: false, code, message, details } response envelope. details is
+// always a list of { in, field, code, message } problems.
+//
+// Codes in use:
+//   bad_request, validation_failed, invalid_json,
+//   invalid_import                                   400
+//   invalid_credentials, email_not_verified,
+//   email_verification_required, user_exists,
+//   invalid_code, too_many_attempts                  400
+//   missing_token, invalid_token, session_revoked    401
+//   forbidden, insufficient_scope                    403
+//   not_found, route_not_found                       404
+//   conflict                                         409
+//   sync_expired                                     410
+//   rate_limited                                     429
+//   internal_error                                   500
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, code = 'bad_request', details) =>
+  new ApiError(400, code, message, details);
+
+const unauthorized = (message, code = 'invalid_token') =>
+  new ApiError(401, code, message);
+
+const forbidden = (message, code = 'forbidden') =>
+  new ApiError(403, code, message);
+
+const notFound = (message, code = 'not_found') =>
+  new ApiError(404, code, message);
+
+// current, when given, is the record's current state; it is returned
+// beside details so clients can merge their change
+const conflict = (message, current) => {
+  const error = new ApiError(409, 'conflict', message);
+  if (current) {
+    error.current = current;
+  }
+  return error;
+};
+
+const gone = (message, code) =>
+  new ApiError(410, code, message);
+
+const tooManyRequests = (resetAt) => {
+  const error = new ApiError(429, 'rate_limited', 'Too many attempts. Please try again later.');
+  error.retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  return error;
+};
+
+module.exports = {
+  ApiError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  gone,
+  tooManyRequests
+};
@@ -0,0 +1,180 @@
+const { isValidTimezone, zonedTimeToUtc } = require('./timezone');
+
+// Reading and writing the parts of iCalendar (RFC 5545) used for todos
+
+const PRODUCT_ID = '-//Todo App//Todos//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+  (char === 'n' || char === 'N' ? '\n' : char));
+
+// UTC date-time, e.g. 20240131T090000Z
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Build a VCALENDAR from components, each { type, properties: [[name, value]] }.
+// Values are written as-is, so text values must already be escaped; empty
+// values (null, undefined, '' or false) leave the property out.
+const buildCalendar = (components, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  components.forEach(({ type, properties }) => {
+    lines.push(`BEGIN:${type}`);
+    properties.forEach(([property, value]) => {
+      if (value !== null && value !== undefined && value !== '' && value !== false) {
+        lines.push(`${property}:${value}`);
+      }
+    });
+    lines.push(`END:${type}`);
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Split "NAME;PARAM=x:value" into its parts; colons inside quoted
+// parameter values do not end the name
+const parseContentLine = (line) => {
+  let quoted = false;
+  let split = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      split = i;
+      break;
+    }
+  }
+
+  if (split === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, split).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+// Parse a DATE or DATE-TIME value. Floating and TZID times are read in
+// the given zone; dates alone mean the start of that day.
+const parseDateValue = ({ value, params }, timezone = 'UTC') => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute)
+  };
+
+  if (utc) {
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, Number(second)));
+  }
+
+  const zone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : timezone;
+  const date = zonedTimeToUtc(parts, zone);
+  return new Date(date.getTime() + Number(second) * 1000);
+};
+
+// Parse iCalendar text into its components of the given types. Each
+// component maps property names to arrays of { params, value }.
+const parseCalendar = (text, types = ['VTODO']) => {
+  const lines = text
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+
+  const components = [];
+  const stack = [];
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push({ type: property.value.trim().toUpperCase(), properties: {} });
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && types.includes(component.type)) {
+        components.push(component);
+      }
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+    if (current) {
+      if (!current.properties[property.name]) {
+        current.properties[property.name] = [];
+      }
+      current.properties[property.name].push({ params: property.params, value: property.value });
+    }
+  });
+
+  if (stack.length > 0) {
+    throw new Error(`Unterminated ${stack[stack.length - 1].type} component`);
+  }
+
+  return components;
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  formatDateTime,
+  buildCalendar,
+  parseCalendar,
+  parseDateValue
+};
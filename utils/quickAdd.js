@@ -0,0 +1,243 @@
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+// Quick-add parsing: pull a due date, time, recurrence, #tags, !priority
+// and @category out of a line of text; what is left is the title.
+//
+//   "Pay rent tomorrow 9am #finance !high"
+//   "Standup every weekday at 9:30 @work"
+//   "Dentist on march 3rd 14:00"
+//
+// Dates are read on the user's local calendar. A date without a time is
+// due at local midnight, like todos created with a date only.
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const PRIORITIES = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low'
+};
+
+const FREQUENCIES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const WEEKDAY = `(${WEEKDAY_NAMES.join('|')}|${WEEKDAY_ABBREVIATIONS.join('|')})`;
+// Full month names or their exact abbreviations, so "markers" or "junior"
+// in a title are not read as months
+const MONTH = `(${MONTH_NAMES.join('|')}|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\\b\\.?`;
+const ORDINAL = '(?:st|nd|rd|th)?';
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+
+const weekdayIndex = (name) => WEEKDAY_ABBREVIATIONS.indexOf(name.slice(0, 3).toLowerCase());
+const monthIndex = (name) => MONTH_NAMES.findIndex(month => month.startsWith(name.slice(0, 3).toLowerCase()));
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] || parseInt(value, 10);
+
+// Local calendar dates as { year, month, day }
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const addMonths = ({ year, month, day }, months) => {
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: Math.min(day, lastDay) };
+};
+
+const isRealDate = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const compareDates = (a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+
+// First given weekday strictly after today, or from today when inclusive
+const nextWeekday = (today, weekday, { inclusive = false } = {}) => {
+  const ahead = (weekday - weekdayOf(today) + 7) % 7;
+  return addDays(today, ahead === 0 && !inclusive ? 7 : ahead);
+};
+
+// A day and month without a year is the next time that date comes round
+const upcomingDate = (today, month, day, year) => {
+  if (year) {
+    return { year, month, day };
+  }
+  const date = { year: today.year, month, day };
+  return compareDates(date, today) < 0 ? { ...date, year: today.year + 1 } : date;
+};
+
+// Each matcher turns a regex match into part of the result. The first
+// match of each kind wins; its text is removed from the title. Patterns
+// are matched case-insensitively.
+const RECURRENCE_MATCHERS = [
+  [/\bevery\s+weekday\b/, () => ({ frequency: 'weekly', byWeekday: [1, 2, 3, 4, 5] })],
+  [/\bevery\s+other\s+(day|week|month)\b/, ([, unit]) => ({ frequency: FREQUENCIES[unit.toLowerCase()], interval: 2 })],
+  [/\bevery\s+(\d+)\s+(day|week|month)s\b/, ([, count, unit]) => ({
+    frequency: FREQUENCIES[unit.toLowerCase()],
+    interval: parseInt(count, 10)
+  })],
+  [new RegExp(`\\bevery\\s+${WEEKDAY}((?:\\s*(?:,|and|&)\\s*${WEEKDAY})*)\\b`), ([text]) => ({
+    frequency: 'weekly',
+    byWeekday: [...new Set(text.replace(/^every\s+/i, '').split(/\s*(?:,|and|&)\s*/).map(weekdayIndex))]
+      .sort((a, b) => a - b)
+  })],
+  [/\b(?:every\s+day|daily)\b/, () => ({ frequency: 'daily' })],
+  [/\b(?:every\s+week|weekly)\b/, () => ({ frequency: 'weekly' })],
+  [/\b(?:every\s+month|monthly)\b/, () => ({ frequency: 'monthly' })]
+];
+
+const DATE_MATCHERS = [
+  [new RegExp(`\\b${DATE_PREFIX}today\\b`), (match, today) => ({ date: today, isToday: true })],
+  [new RegExp(`\\b${DATE_PREFIX}tonight\\b`), (match, today) => ({ date: today, isToday: true, time: { hour: 20, minute: 0 } })],
+  [new RegExp(`\\b${DATE_PREFIX}(?:the\\s+)?day\\s+after\\s+tomorrow\\b`), (match, today) => ({ date: addDays(today, 2) })],
+  [new RegExp(`\\b${DATE_PREFIX}(?:tomorrow|tmrw?)\\b`), (match, today) => ({ date: addDays(today, 1) })],
+  [new RegExp(`\\b${DATE_PREFIX}next\\s+week\\b`), (match, today) => ({ date: nextWeekday(today, 1) })],
+  [new RegExp(`\\b${DATE_PREFIX}next\\s+month\\b`), (match, today) => ({ date: addMonths({ ...today, day: 1 }, 1) })],
+  [/\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/, ([, count, unit], today) => {
+    const amount = toNumber(count);
+    if (unit.toLowerCase() === 'month') {
+      return { date: addMonths(today, amount) };
+    }
+    return { date: addDays(today, unit.toLowerCase() === 'week' ? amount * 7 : amount) };
+  }],
+  // Weekday abbreviations need a lead-in, so "sat" or "wed" in a title stay put
+  [new RegExp(`\\b(?:(?:on|by|due|next|this)\\s+${WEEKDAY}|(${WEEKDAY_NAMES.join('|')}))\\b`), ([, abbreviated, full], today) => ({
+    date: nextWeekday(today, weekdayIndex(abbreviated || full))
+  })],
+  [new RegExp(`\\b${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})\\b`), ([, year, month, day]) => ({
+    date: { year: parseInt(year, 10), month: parseInt(month, 10), day: parseInt(day, 10) }
+  })],
+  [new RegExp(`\\b${DATE_PREFIX}${MONTH}\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?(?!\\w)`), ([, month, day, year], today) => ({
+    date: upcomingDate(today, monthIndex(month) + 1, parseInt(day, 10), year && parseInt(year, 10))
+  })],
+  [new RegExp(`\\b${DATE_PREFIX}(?:the\\s+)?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?(?!\\w)`), ([, day, month, year], today) => ({
+    date: upcomingDate(today, monthIndex(month) + 1, parseInt(day, 10), year && parseInt(year, 10))
+  })]
+];
+
+const TIME_MATCHERS = [
+  [/\b(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/, ([, hour, minute = '0', meridiem]) => {
+    const value = parseInt(hour, 10);
+    if (value < 1 || value > 12) {
+      return null;
+    }
+    return { hour: (value % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0), minute: parseInt(minute, 10) };
+  }],
+  [/\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/, ([, hour, minute]) => ({ hour: parseInt(hour, 10), minute: parseInt(minute, 10) })],
+  [/\bat\s+([01]?\d|2[0-3])\b(?![:.\d])/, ([, hour]) => ({ hour: parseInt(hour, 10), minute: 0 })],
+  [/\b(?:at\s+)?(?:noon|midday)\b/, () => ({ hour: 12, minute: 0 })]
+];
+
+// Run matchers against the text until one applies; returns its result
+// and the text with the match blanked out
+const takeFirst = (text, matchers, ...args) => {
+  for (const [pattern, handle] of matchers) {
+    const match = new RegExp(pattern.source, 'i').exec(text);
+    if (!match) {
+      continue;
+    }
+    const value = handle(match, ...args);
+    if (value) {
+      return {
+        value,
+        text: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`
+      };
+    }
+  }
+  return { value: null, text };
+};
+
+// Parse a quick-add line. Returns { title, fields, errors }: fields holds
+// only what was recognized, and errors what was recognized but unusable.
+// The title may be empty when the text held nothing else.
+const parseQuickAdd = (input, { now = new Date(), timezone = 'UTC' } = {}) => {
+  const errors = [];
+  const fields = {};
+  const local = getZonedParts(now, timezone);
+  const today = { year: local.year, month: local.month, day: local.day };
+  let text = ` ${input} `;
+
+  // Tokens with a sigil; "!" and "@" must start a word, so emails survive
+  const tags = [];
+  text = text.replace(/(^|\s)#([\p{L}\p{N}][\p{L}\p{N}_\-]*)/gu, (match, space, tag) => {
+    tags.push(tag);
+    return space;
+  });
+  if (tags.length > 0) {
+    fields.tags = [...new Set(tags)];
+  }
+
+  text = text.replace(/(^|\s)!(high|medium|med|low|h|m|l|[123])(?=\s|$)/i, (match, space, priority) => {
+    fields.priority = PRIORITIES[priority.toLowerCase()];
+    return space;
+  });
+
+  text = text.replace(/(^|\s)@([\p{L}\p{N}][\p{L}\p{N}_\-]*)/u, (match, space, category) => {
+    fields.category = category;
+    return space;
+  });
+
+  // Recurrence first, so "every monday" is not read as a single Monday
+  const recurrence = takeFirst(text, RECURRENCE_MATCHERS);
+  text = recurrence.text;
+
+  const date = takeFirst(text, DATE_MATCHERS, today);
+  text = date.text;
+
+  const time = takeFirst(text, TIME_MATCHERS);
+  text = time.text;
+
+  let day = date.value && date.value.date;
+  const clock = time.value || (date.value && date.value.time) || null;
+
+  if (day && !isRealDate(day)) {
+    errors.push({ field: 'dueDate', code: 'invalid_date', message: 'Is not a real calendar date' });
+    day = null;
+  }
+
+  // Without a date, a time that has already gone by today means tomorrow
+  const passed = Boolean(clock) &&
+    (clock.hour < local.hour || (clock.hour === local.hour && clock.minute <= local.minute));
+  const firstDay = passed ? addDays(today, 1) : today;
+
+  // "today" or "tonight" with a time that has gone by asks for the past
+  if (day && date.value.isToday && time.value && passed) {
+    errors.push({ field: 'dueDate', code: 'time_passed', message: 'The time given has already passed today' });
+    day = null;
+  }
+
+  if (!date.value && recurrence.value) {
+    // A series starts on its first matching day
+    const weekdays = recurrence.value.byWeekday || [];
+    day = weekdays.length > 0
+      ? weekdays
+        .map(weekday => nextWeekday(firstDay, weekday, { inclusive: true }))
+        .sort(compareDates)[0]
+      : firstDay;
+  }
+
+  if (!date.value && !recurrence.value && clock) {
+    day = firstDay;
+  }
+
+  if (day) {
+    fields.dueDate = zonedTimeToUtc({ ...day, ...(clock || { hour: 0, minute: 0 }) }, timezone);
+  }
+  if (recurrence.value) {
+    fields.recurrence = recurrence.value;
+  }
+
+  return { title: text.replace(/\s+/g, ' ').trim(), fields, errors };
+};
+
+module.exports = {
+  parseQuickAdd
+};
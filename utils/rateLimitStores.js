@@ -0,0 +1,94 @@
+const RateLimit = require('../models/RateLimit');
+
+// Stores count hits per key within a fixed window. Each one exposes
+// increment(key, windowMs), get(key) and reset(key), all async and
+// resolving to { count, resetAt } or null.
+
+// In-process store; fine for tests and single-instance deployments
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  const sweep = (now) => {
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (hits.size > 10000) {
+        sweep(now);
+      }
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async get(key) {
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= Date.now()) {
+        hits.delete(key);
+        return null;
+      }
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+};
+
+// MongoDB-backed store shared by every server instance
+const createMongoStore = () => {
+  const startWindow = async (key, windowMs) => {
+    try {
+      return await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: new Date() } },
+        { count: 1, resetAt: new Date(Date.now() + windowMs) },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another request created the window first; count against it
+      if (error.code === 11000) {
+        return RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+      }
+      throw error;
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const entry = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $gt: new Date() } },
+        { $inc: { count: 1 } },
+        { new: true }
+      ) || await startWindow(key, windowMs);
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,138 @@
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the epoch for a local calendar date
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (number) => {
+  const date = new Date(number * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Validate a recurrence rule from a request body and fill in defaults.
+// Returns { rule } or { error }.
+const normalizeRule = (input, dueDate) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'recurrence must be an object' };
+  }
+
+  const { frequency, interval = 1, byWeekday = [], until = null, count = null } = input;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'recurrence.interval must be a positive whole number' };
+  }
+
+  if (!Array.isArray(byWeekday) ||
+      !byWeekday.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'recurrence.byWeekday must list weekdays from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  if (byWeekday.length > 0 && frequency !== 'weekly') {
+    return { error: 'recurrence.byWeekday is only supported for weekly recurrence' };
+  }
+
+  if (until !== null && isNaN(new Date(until).getTime())) {
+    return { error: 'recurrence.until must be a valid date' };
+  }
+
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    return { error: 'recurrence.count must be a positive whole number' };
+  }
+
+  if (until !== null && count !== null) {
+    return { error: 'recurrence accepts either until or count, not both' };
+  }
+
+  return {
+    rule: {
+      frequency,
+      interval,
+      byWeekday: [...new Set(byWeekday)].sort((a, b) => a - b),
+      until: until === null ? null : new Date(until),
+      count,
+      // The series is anchored on the first due date, like an RRULE DTSTART
+      dtstart: input.dtstart ? new Date(input.dtstart) : new Date(dueDate || Date.now())
+    }
+  };
+};
+
+// First occurrence of the rule strictly after `after`, or null once the
+// series has ended. Dates are computed on the user's local calendar so the
+// time of day stays fixed across DST changes.
+const nextOccurrence = (rule, after, { timezone = 'UTC', occurrence = 1 } = {}) => {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const start = getZonedParts(new Date(rule.dtstart), timezone);
+  const startDay = dayNumber(start);
+  const afterDay = dayNumber(getZonedParts(new Date(after), timezone));
+  const interval = rule.interval || 1;
+
+  const atStartTime = (date) => zonedTimeToUtc({
+    ...date,
+    hour: start.hour,
+    minute: start.minute
+  }, timezone);
+
+  let next = null;
+
+  if (rule.frequency === 'daily') {
+    const steps = Math.max(0, Math.floor((afterDay - startDay) / interval) + 1);
+    next = atStartTime(fromDayNumber(startDay + steps * interval));
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+      ? rule.byWeekday
+      : [start.weekday];
+    const startWeek = startDay - start.weekday;
+
+    // Any matching day is within one full interval of weeks
+    for (let day = Math.max(afterDay + 1, startDay); day <= afterDay + 7 * interval + 7; day++) {
+      const weekday = ((day % 7) + 7 + 4) % 7; // 1970-01-01 was a Thursday
+      const week = Math.floor((day - weekday - startWeek) / 7);
+
+      if (weekdays.includes(weekday) && week % interval === 0) {
+        next = atStartTime(fromDayNumber(day));
+        break;
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    const startMonth = start.year * 12 + (start.month - 1);
+    const afterParts = getZonedParts(new Date(after), timezone);
+    const afterMonth = afterParts.year * 12 + (afterParts.month - 1);
+    let steps = Math.max(0, Math.floor((afterMonth - startMonth) / interval));
+
+    // Short months clamp to their last day, e.g. the 31st becomes the 30th
+    while (!next || next <= new Date(after)) {
+      const monthIndex = startMonth + steps * interval;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      next = atStartTime({ year, month, day: Math.min(start.day, daysInMonth(year, month)) });
+      steps++;
+    }
+  }
+
+  if (!next || (rule.until && next > new Date(rule.until))) {
+    return null;
+  }
+
+  return next;
+};
+
+module.exports = {
+  FREQUENCIES,
+  normalizeRule,
+  nextOccurrence
+};
@@ -0,0 +1,109 @@
+// Timezone helpers built on Intl, so day boundaries follow each user's
+// own zone (including DST transitions) instead of the server's clock.
+
+const formatters = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    });
+  }
+  return formatters[timeZone];
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check that a string is an IANA timezone name Intl understands
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instant at which the zone's wall clock shows the given local time.
+// Date.UTC normalizes overflow, so day may run past the end of the month.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  // Offsets on either side of any DST change near this wall time
+  const candidates = [
+    wallTime - getTimezoneOffset(new Date(wallTime - dayMs), timeZone),
+    wallTime - getTimezoneOffset(new Date(wallTime + dayMs), timeZone)
+  ].sort((a, b) => a - b);
+
+  const matching = candidates.filter(
+    instant => instant + getTimezoneOffset(new Date(instant), timeZone) === wallTime
+  );
+
+  // Ambiguous (clocks went back): take the first occurrence.
+  // Skipped (clocks went forward): read the time with the offset from
+  // before the jump, which moves it later by the length of the gap, so
+  // 02:30 on a night the clocks skip from 02:00 to 03:00 becomes 03:30.
+  return new Date(matching.length > 0 ? matching[0] : candidates[1]);
+};
+
+// Start of the local day containing `date`, shifted by `days` local days
+const startOfZonedDay = (date, timeZone, days = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + days }, timeZone);
+};
+
+// Local calendar date of an instant as YYYY-MM-DD
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [
+    year,
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0')
+  ].join('-');
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  formatZonedDate
+};
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Todo = require('../models/todoModel');
+const { badRequest } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Fields that may be used with ?sort=
+const SORTABLE_FIELDS = [
+  'title',
+  'completed',
+  'completedAt',
+  'dueDate',
+  'priority',
+  'createdAt',
+  'category'
+];
+
+// Build a MongoDB filter from validated GET /api/todos query parameters
+// (see schemas/todoSchemas), narrowing the base filter that selects the
+// todos the user may see
+const buildTodoFilter = (query, baseFilter) => {
+  const filter = { ...baseFilter };
+
+  if (query.completed !== undefined) {
+    filter.completed = query.completed;
+  }
+
+  if (query.priority !== undefined) {
+    filter.priority = { $in: query.priority };
+  }
+
+  if (query.category !== undefined) {
+    filter.category = { $in: query.category };
+  }
+
+  if (query.tags !== undefined) {
+    filter.tags = query.tagMatch === 'all' ? { $all: query.tags } : { $in: query.tags };
+  }
+
+  if (query.dueBefore !== undefined || query.dueAfter !== undefined) {
+    filter.dueDate = {};
+    if (query.dueBefore !== undefined) {
+      filter.dueDate.$lt = query.dueBefore;
+    }
+    if (query.dueAfter !== undefined) {
+      filter.dueDate.$gte = query.dueAfter;
+    }
+  }
+
+  if (query.overdue) {
+    const now = new Date();
+    filter.completed = false;
+    filter.dueDate = filter.dueDate || {};
+    if (!filter.dueDate.$lt || filter.dueDate.$lt > now) {
+      filter.dueDate.$lt = now;
+    }
+  }
+
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+
+  return filter;
+};
+
+// Sort fields stored under another path; priority is a string, so it is
+// sorted by its numeric rank (low < medium < high)
+const SORT_PATHS = { priority: 'priorityRank' };
+
+// Parse ?sort=field or ?sort=-field (descending); the field is checked
+// against SORTABLE_FIELDS by the request schema
+const parseSort = (sort) => {
+  if (!sort) {
+    return { field: 'createdAt', direction: -1 };
+  }
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const name = sort.replace(/^[-+]/, '');
+
+  return { field: SORT_PATHS[name] || name, direction };
+};
+
+const encodeCursor = (todo, field) => {
+  const value = todo[field] === undefined ? null : todo[field];
+  return Buffer.from(JSON.stringify({ v: value, id: todo._id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) {
+      throw new Error('Invalid id');
+    }
+
+    const isDate = Todo.schema.path(field).instance === 'Date';
+    return {
+      value: v !== null && isDate ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    throw badRequest('Invalid cursor', 'validation_failed', [
+      { in: 'query', field: 'cursor', code: 'invalid_format', message: 'Is not a valid cursor' }
+    ]);
+  }
+};
+
+// Filter selecting documents after the cursor in (field, _id) order.
+// MongoDB sorts null/missing values first, so they need their own branch.
+const cursorFilter = ({ value, id }, { field, direction }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  const sameValue = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const branches = [{ [field]: { [after]: value } }, sameValue];
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+};
+
+// Run a paginated todo query, returning the page and the cursor for the next one
+const findTodosPage = async (filter, { sort, limit, cursor }) => {
+  const order = parseSort(sort);
+  const pageSize = limit || DEFAULT_PAGE_SIZE;
+
+  const query = cursor
+    ? { $and: [filter, cursorFilter(decodeCursor(cursor, order.field), order)] }
+    : filter;
+
+  const todos = await Todo.find(query)
+    .sort({ [order.field]: order.direction, _id: order.direction })
+    .limit(pageSize + 1);
+
+  const hasMore = todos.length > pageSize;
+  const page = hasMore ? todos.slice(0, pageSize) : todos;
+
+  return {
+    todos: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], order.field) : null
+  };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  buildTodoFilter,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  findTodosPage
+};
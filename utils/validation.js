@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Declarative request validation. A schema maps field names to rules:
+//
+//   { type, required, nullable, default, enum, min, max, minLength,
+//     maxLength, pattern, trim, lowercase, items, properties, transform,
+//     validate }
+//
+// type is one of string, number, integer, boolean, date, objectId, array,
+// object or any. Values are coerced where unambiguous ('true' -> true,
+// '5' -> 5, ISO strings -> Date, 'a,b' -> ['a', 'b']) and fields that are
+// not in the schema are rejected.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const fieldName = (path, key) => (path ? `${path}.${key}` : key);
+
+// Check one value against its rule. Pushes problems onto errors and
+// returns the coerced value (undefined when invalid).
+const checkValue = (value, rule, field, errors) => {
+  const fail = (code, message) => {
+    errors.push({ field, code, message });
+    return undefined;
+  };
+
+  if (rule.transform) {
+    value = rule.transform(value);
+  }
+
+  if (value === null) {
+    return rule.nullable ? null : fail('invalid_type', 'Must not be null');
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        return fail('invalid_type', 'Must be a string');
+      }
+      if (rule.trim) value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail('too_short', rule.minLength === 1
+          ? 'Must not be empty'
+          : `Must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail('too_long', `Must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail('invalid_format', rule.patternMessage || 'Has an invalid format');
+      }
+      break;
+    }
+
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail('invalid_type', 'Must be a number');
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return fail('invalid_type', 'Must be a whole number');
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return fail('too_small', `Must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail('too_large', `Must be at most ${rule.max}`);
+      }
+      break;
+    }
+
+    case 'boolean': {
+      if (value === 'true') value = true;
+      if (value === 'false') value = false;
+      if (typeof value !== 'boolean') {
+        return fail('invalid_type', 'Must be true or false');
+      }
+      break;
+    }
+
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number'
+        ? new Date(value)
+        : value;
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return fail('invalid_type', 'Must be a valid date');
+      }
+      value = date;
+      break;
+    }
+
+    case 'objectId': {
+      if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) {
+        return fail('invalid_id', 'Must be a valid id');
+      }
+      break;
+    }
+
+    case 'array': {
+      if (typeof value === 'string') {
+        value = value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value)) {
+        return fail('invalid_type', 'Must be an array');
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail('too_long', `Must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        const before = errors.length;
+        value = value.map((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+        if (errors.length > before) {
+          return undefined;
+        }
+      }
+      break;
+    }
+
+    case 'object': {
+      if (!isPlainObject(value)) {
+        return fail('invalid_type', 'Must be an object');
+      }
+      if (rule.properties) {
+        const before = errors.length;
+        value = validateObject(value, rule.properties, errors, field);
+        if (errors.length > before) {
+          return undefined;
+        }
+      }
+      break;
+    }
+
+    case 'any':
+      break;
+
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('invalid_value', `Must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (rule.validate) {
+    const message = rule.validate(value);
+    if (message) {
+      return fail('invalid_value', message);
+    }
+  }
+
+  return value;
+};
+
+// Validate an object against a schema, returning only the known fields
+const validateObject = (input, schema, errors, path = '') => {
+  const output = {};
+
+  if (!isPlainObject(input)) {
+    errors.push({ field: path || null, code: 'invalid_type', message: 'Must be an object' });
+    return output;
+  }
+
+  Object.keys(input).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      errors.push({ field: fieldName(path, key), code: 'unknown_field', message: 'Is not allowed' });
+    }
+  });
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const field = fieldName(path, key);
+
+    if (input[key] === undefined) {
+      if (rule.required) {
+        errors.push({ field, code: 'required', message: 'Is required' });
+      } else if (rule.default !== undefined) {
+        output[key] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      }
+      return;
+    }
+
+    const value = checkValue(input[key], rule, field, errors);
+    if (value !== undefined) {
+      output[key] = value;
+    }
+  });
+
+  return output;
+};
+
+module.exports = {
+  validateObject
+};